@@ -1,152 +1,711 @@
 /**
  * Mandopop Background Service Worker
- * Manages dictionary (loaded once), settings, and message passing
+ * Manages the sharded dictionary (IndexedDB, shards parsed on demand), word list, lookup history, settings, and message passing
  */
 
 import { lookup } from './lib/normalize.js';
+import { lookupChinese, lookupHeadword, getHeadwordEntries } from './lib/chinese.js';
+import {
+  englishCandidates, englishShard, headwordShard, headwordCandidates, sliceIndex, missingAliasTargets,
+  contentHash, parsePackHeader, unpackShards
+} from './lib/shards.js';
+import { MAX_SUGGESTIONS, spellingVariants, fuzzyQuery, fuzzyShardsFor, fuzzySearch } from './lib/fuzzy.js';
+import { MAX_GLOSS_WORDS, glossWords, glossKeys, glossPhrase } from './lib/gloss.js';
+import { createWordRecord, wordId } from './lib/wordlist.js';
+import { FORMATS, exportWords, parseImport, pinyinKey } from './lib/exchange.js';
+import { DIRECTIONS, schedule, countDue } from './lib/srs.js';
+import { createHistoryRecord, isRecordedSource, isRepeatLookup, retentionCutoff, DEFAULT_RETENTION_DAYS, MAX_HISTORY_ENTRIES } from './lib/history.js';
+import { DEFAULT_EXAM } from './lib/levels.js';
+import { DEFAULT_THEME } from './lib/themes.js';
 
 // IndexedDB constants
 const DB_NAME = 'mandopop';
-const DB_VERSION = 1;
 const STORE_NAME = 'dictionary';
-const DICT_KEY = 'cedict';
-const DICT_VERSION_KEY = 'cedict_version';
+const WORDS_STORE = 'words';
+const HISTORY_STORE = 'history';
+const HISTORY_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const DICT_MANIFEST_KEY = 'cedict_manifest'; // { version, features, shards: { store key: hash } }, written last
+const DICT_VERSION_KEY = 'dictVersion'; // chrome.storage.local: { extension: manifest version, version }
+// Shard packs written by scripts/preprocess_cedict.cjs, stored as `${prefix}:${shard id}`
+const PACKS = [
+  { file: 'cedict_en.pack', prefix: 'en' },
+  { file: 'cedict_zh.pack', prefix: 'zh' },
+  { file: 'cedict_fuzzy.pack', prefix: 'fz' }
+];
+const SHARD_CACHE_SIZE = 64;
+const LOOKUP_MENU_ID = 'mandopop-lookup';
+const LOOKUP_COMMAND = 'lookup-selection';
+const SITE_OFF_BADGE = 'OFF';
+const SITE_OFF_BADGE_COLOR = '#ff0080';
 
 // State
-let dictionary = null;
+let dictionaryManifest = null;
 let dictionaryLoading = null;
+let dictionaryRepair = null;
+const shardCache = new Map(); // Parsed shards by store key, least recently used first
+let lastHistoryPrune = 0;
+let lastRecordedLookup = null; // { entryId, url, timestamp }, to skip repeats
 
-// Get dictionary version from extension version
-function getDictVersion() {
-  return chrome.runtime.getManifest().version;
-}
+// Schema migrations, one per version: each runs once, in order, inside the upgrade
+// transaction, so add a step to the end rather than editing an old one
+const MIGRATIONS = [
+  // v1: dictionary cache
+  (db) => {
+    db.createObjectStore(STORE_NAME);
+  },
+  // v2: personal word list, one record per entry id
+  (db) => {
+    const words = db.createObjectStore(WORDS_STORE, { keyPath: 'id' });
+    words.createIndex('updatedAt', 'updatedAt');
+  },
+  // v3: lookup history, append-only with timestamp and per-entry indexes
+  (db) => {
+    const history = db.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+    history.createIndex('timestamp', 'timestamp');
+    history.createIndex('entryId', 'entryId');
+  },
+  // v4: dictionary cache keyed by content hash; drop caches keyed by extension version
+  (_db, tx) => {
+    tx.objectStore(STORE_NAME).clear();
+  }
+];
+const DB_VERSION = MIGRATIONS.length;
 
 // Open IndexedDB
 function openDB() {
   return new Promise((resolve, reject) => {
     const request = indexedDB.open(DB_NAME, DB_VERSION);
-    request.onupgradeneeded = () => {
-      request.result.createObjectStore(STORE_NAME);
+    request.onupgradeneeded = (event) => {
+      for (let version = event.oldVersion; version < DB_VERSION; version++) {
+        MIGRATIONS[version](request.result, request.transaction);
+      }
     };
     request.onsuccess = () => resolve(request.result);
     request.onerror = () => reject(request.error);
   });
 }
 
-// Read dictionary from IndexedDB cache
-async function readCache() {
-  let db;
+// Fetch a bundled pack, or just its header line
+async function fetchPack(file, { headerOnly = false } = {}) {
+  const response = await fetch(chrome.runtime.getURL(file));
+  if (!response.ok) throw new Error(`Failed to fetch ${file}: ${response.status}`);
+  if (!headerOnly) return new Uint8Array(await response.arrayBuffer());
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    if (value.includes(0x0a)) break;
+  }
+  reader.cancel();
+  return new Uint8Array(await new Blob(chunks).arrayBuffer());
+}
+
+// Version of the bundled dictionary: the content hashes of its packs. The packs
+// only change with the extension, so the headers are read once per extension version
+async function getDictVersion() {
+  const extension = chrome.runtime.getManifest().version;
+  const { [DICT_VERSION_KEY]: cached } = await chrome.storage.local.get(DICT_VERSION_KEY);
+  if (cached?.extension === extension) return cached.version;
+
+  const versions = await Promise.all(PACKS.map(async ({ file, prefix }) => {
+    const { version } = parsePackHeader(await fetchPack(file, { headerOnly: true }));
+    return `${prefix}:${version}`;
+  }));
+  const version = versions.join(',');
+  await chrome.storage.local.set({ [DICT_VERSION_KEY]: { extension, version } });
+  return version;
+}
+
+// Manifest of the dictionary installed in IndexedDB, or null
+async function readManifest() {
   try {
-    db = await openDB();
-    return new Promise((resolve, reject) => {
-      const tx = db.transaction(STORE_NAME, 'readonly');
-      const store = tx.objectStore(STORE_NAME);
-      const versionReq = store.get(DICT_VERSION_KEY);
-      const dataReq = store.get(DICT_KEY);
-      tx.oncomplete = () => {
-        db.close();
-        if (versionReq.result === getDictVersion() && dataReq.result) {
-          resolve(dataReq.result);
-        } else {
-          resolve(null);
-        }
-      };
-      tx.onerror = () => {
-        db.close();
-        reject(tx.error);
-      };
-    });
+    return (await withStore(STORE_NAME, 'readonly', (store) => requestToPromise(store.get(DICT_MANIFEST_KEY)))) || null;
   } catch {
-    db?.close();
     return null;
   }
 }
 
-// Write dictionary to IndexedDB cache
-async function writeCache(data) {
-  let db;
+// Unpack the bundled shard packs into IndexedDB, replacing any other version.
+// The manifest is written last, so an interrupted install is redone
+async function installDictionary(version) {
+  await withStore(STORE_NAME, 'readwrite', (store) => {
+    store.clear();
+  });
+
+  const manifest = { version, features: {}, shards: {} };
+  for (const { file, prefix } of PACKS) {
+    const bytes = await fetchPack(file);
+    if (prefix === 'en') manifest.features = parsePackHeader(bytes).features;
+
+    await withStore(STORE_NAME, 'readwrite', (store) => {
+      for (const [id, json, hash] of unpackShards(bytes)) {
+        store.put(json, `${prefix}:${id}`);
+        manifest.shards[`${prefix}:${id}`] = hash;
+      }
+    });
+  }
+
+  await withStore(STORE_NAME, 'readwrite', (store) => {
+    store.put(manifest, DICT_MANIFEST_KEY);
+  });
+  return manifest;
+}
+
+// Run a callback against one object store, resolving with its result once committed
+async function withStore(storeName, mode, callback) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    let result;
+    Promise.resolve(callback(tx.objectStore(storeName)))
+      .then((value) => { result = value; })
+      .catch((error) => {
+        reject(error);
+        tx.abort();
+      });
+    tx.oncomplete = () => {
+      db.close();
+      resolve(result);
+    };
+    tx.onerror = () => {
+      db.close();
+      reject(tx.error);
+    };
+    tx.onabort = () => {
+      db.close();
+      reject(tx.error);
+    };
+  });
+}
+
+// Wrap an IDBRequest in a promise
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Save (or update) an entry in the word list
+function saveWord(entry, context) {
+  return withStore(WORDS_STORE, 'readwrite', async (store) => {
+    const existing = await requestToPromise(store.get(wordId(entry)));
+    const record = createWordRecord(entry, context, existing || null);
+    store.put(record);
+    return record;
+  });
+}
+
+// Remove an entry from the word list
+function removeWord(id) {
+  return withStore(WORDS_STORE, 'readwrite', (store) => {
+    store.delete(id);
+  });
+}
+
+// All saved words, most recently updated first
+async function getWords() {
+  const words = await withStore(WORDS_STORE, 'readonly', (store) => requestToPromise(store.getAll()));
+  return words.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+// Which of the given entry ids are in the word list
+function getSavedIds(ids) {
+  return withStore(WORDS_STORE, 'readonly', async (store) => {
+    const keys = await requestToPromise(store.getAllKeys());
+    const saved = new Set(keys);
+    return ids.filter(id => saved.has(id));
+  });
+}
+
+// Export the word list as file contents in the given format
+async function exportWordList(format) {
+  const [words, { script }] = await Promise.all([
+    getWords(),
+    chrome.storage.sync.get('script')
+  ]);
+  const date = new Date().toISOString().slice(0, 10);
+  return {
+    text: exportWords(words, format, script || 'traditional'),
+    filename: `mandopop-${format}-${date}.${FORMATS[format].extension}`,
+    mimeType: FORMATS[format].mimeType,
+    count: words.length
+  };
+}
+
+// Match an imported item to a dictionary entry (same characters and pinyin),
+// falling back to the imported fields when the dictionary has no such reading
+function resolveImportItem(item, headwords) {
+  const candidates = getHeadwordEntries(headwords, item.t) || getHeadwordEntries(headwords, item.s) || [];
+  const key = item.p ? pinyinKey(item.p) : null;
+  const match = candidates.find(e => !key || pinyinKey(e.p) === key);
+  if (match) return match;
+
+  return { t: item.t, s: item.s, p: item.p, d: item.d };
+}
+
+// Import a file into the word list, merging with words already saved
+async function importWordList(text, format) {
+  const items = parseImport(text, format);
+  // Without the dictionary, items keep their imported fields
+  const headwords = await headwordSlice(items.flatMap(item => [item.t, item.s]).filter(Boolean)).catch(() => ({}));
+
+  return withStore(WORDS_STORE, 'readwrite', async (store) => {
+    const seen = new Set();
+    let added = 0;
+    let updated = 0;
+
+    for (const item of items) {
+      const entry = resolveImportItem(item, headwords);
+      const id = wordId(entry);
+      if (seen.has(id)) continue;
+      seen.add(id);
+
+      const existing = await requestToPromise(store.get(id));
+      const context = { sentence: item.sentence, query: item.query, url: item.url, title: item.title };
+      store.put(createWordRecord(entry, context, existing || null));
+      if (existing) updated++;
+      else added++;
+    }
+
+    return { added, updated };
+  });
+}
+
+// Record a successful explicit lookup (top entry shown) in the history,
+// skipping a repeat of the last one on the same page
+async function recordLookup(query, entry, url) {
+  const record = createHistoryRecord(query, entry, url);
+  const recorded = { entryId: record.entryId, url, timestamp: record.timestamp };
+  if (isRepeatLookup(lastRecordedLookup, recorded)) return;
+  lastRecordedLookup = recorded;
+
   try {
-    db = await openDB();
-    const tx = db.transaction(STORE_NAME, 'readwrite');
-    const store = tx.objectStore(STORE_NAME);
-    store.put(data, DICT_KEY);
-    store.put(getDictVersion(), DICT_VERSION_KEY);
-    return new Promise((resolve, reject) => {
-      tx.oncomplete = () => {
-        db.close();
-        resolve();
-      };
-      tx.onerror = () => {
-        db.close();
-        reject(tx.error);
-      };
+    await withStore(HISTORY_STORE, 'readwrite', (store) => {
+      store.add(record);
     });
+    if (Date.now() - lastHistoryPrune > HISTORY_PRUNE_INTERVAL_MS) {
+      await pruneHistory();
+    }
   } catch (error) {
-    db?.close();
-    console.error('[Mandopop] Failed to write cache:', error);
+    console.error('[Mandopop] Failed to record history:', error);
   }
 }
 
-// Load dictionary (from IndexedDB cache or fetch)
+// Drop history older than the retention setting, and beyond the size cap
+async function pruneHistory() {
+  lastHistoryPrune = Date.now();
+  const { historyRetention } = await chrome.storage.sync.get('historyRetention');
+  const cutoff = retentionCutoff(historyRetention ?? DEFAULT_RETENTION_DAYS);
+
+  await withStore(HISTORY_STORE, 'readwrite', async (store) => {
+    if (cutoff !== null) {
+      const oldKeys = await requestToPromise(store.index('timestamp').getAllKeys(IDBKeyRange.upperBound(cutoff, true)));
+      for (const key of oldKeys) store.delete(key);
+    }
+
+    // Keys are auto-incremented, so the lowest keys are the oldest records
+    const keys = await requestToPromise(store.getAllKeys());
+    const excess = keys.length - MAX_HISTORY_ENTRIES;
+    if (excess > 0) store.delete(IDBKeyRange.upperBound(keys[excess - 1]));
+  });
+}
+
+// All history within retention, newest first
+async function getHistory() {
+  await pruneHistory();
+  const records = await withStore(HISTORY_STORE, 'readonly', (store) => requestToPromise(store.getAll()));
+  return records.reverse();
+}
+
+function clearHistory() {
+  return withStore(HISTORY_STORE, 'readwrite', (store) => {
+    store.clear();
+  });
+}
+
+// Grade recall of one card direction and store its next review
+function reviewWord(id, direction, grade) {
+  if (!DIRECTIONS.includes(direction)) return Promise.reject(new Error(`Unknown direction: ${direction}`));
+
+  return withStore(WORDS_STORE, 'readwrite', async (store) => {
+    const record = await requestToPromise(store.get(id));
+    if (!record) return null;
+
+    const review = { ...record.review, [direction]: schedule(record.review?.[direction], grade) };
+    const updated = { ...record, review };
+    store.put(updated);
+    return updated;
+  });
+}
+
+// Number of cards due in the enabled review directions
+async function getDueCount() {
+  const [words, { reviewDirections }] = await Promise.all([
+    getWords(),
+    chrome.storage.sync.get('reviewDirections')
+  ]);
+  return countDue(words, reviewDirections || DIRECTIONS);
+}
+
+// Make sure IndexedDB holds the bundled dictionary's shards (unpacked once per version)
 async function loadDictionary() {
-  if (dictionary) return dictionary;
+  if (dictionaryManifest) return true;
   if (dictionaryLoading) return dictionaryLoading;
 
   dictionaryLoading = (async () => {
     try {
-      // Try IndexedDB cache first
-      const cached = await readCache();
-      if (cached) {
-        dictionary = cached;
-        dictionaryLoading = null;
-        console.log('[Mandopop] Dictionary loaded from IndexedDB cache');
-        return dictionary;
+      const [version, manifest] = await Promise.all([getDictVersion(), readManifest()]);
+      // Manifests from before features were recorded are installed again
+      if (manifest?.version === version && manifest.features) {
+        dictionaryManifest = manifest;
+      } else {
+        shardCache.clear();
+        dictionaryManifest = await installDictionary(version);
+        console.log('[Mandopop] Dictionary unpacked into IndexedDB');
       }
-
-      // Fetch and parse
-      const url = chrome.runtime.getURL('cedict.json');
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`Failed to fetch dictionary: ${response.status}`);
-      dictionary = await response.json();
-      console.log('[Mandopop] Dictionary loaded from fetch');
-
-      // Cache for next cold start
-      writeCache(dictionary);
-
-      dictionaryLoading = null;
-      return dictionary;
+      return true;
     } catch (error) {
       console.error('[Mandopop] Failed to load dictionary:', error);
+      return false;
+    } finally {
       dictionaryLoading = null;
-      return null;
     }
   })();
 
   return dictionaryLoading;
 }
 
+// Reinstall the dictionary after a shard failed its integrity check
+function repairDictionary() {
+  dictionaryRepair ||= (async () => {
+    try {
+      dictionaryManifest = null;
+      shardCache.clear();
+      await withStore(STORE_NAME, 'readwrite', (store) => {
+        store.delete(DICT_MANIFEST_KEY);
+      });
+      return await loadDictionary();
+    } finally {
+      dictionaryRepair = null;
+    }
+  })();
+  return dictionaryRepair;
+}
+
+// Parsed shards by store key, from memory or IndexedDB (shards the dictionary lacks are {}).
+// A shard that is missing or fails its hash triggers one rebuild of the cache
+async function readShards(keys, { repaired = false } = {}) {
+  if (dictionaryRepair) await dictionaryRepair;
+  if (!(await loadDictionary())) throw new Error('Dictionary unavailable');
+
+  const manifest = dictionaryManifest;
+  const shards = new Map();
+  const missing = [];
+  for (const key of new Set(keys)) {
+    if (shardCache.has(key)) {
+      // Refresh recency
+      const shard = shardCache.get(key);
+      shardCache.delete(key);
+      shardCache.set(key, shard);
+      shards.set(key, shard);
+    } else if (!Object.hasOwn(manifest.shards, key)) {
+      shards.set(key, {});
+    } else {
+      missing.push(key);
+    }
+  }
+
+  if (missing.length > 0) {
+    const texts = await withStore(STORE_NAME, 'readonly', (store) =>
+      Promise.all(missing.map(key => requestToPromise(store.get(key))))
+    );
+    const hashes = await Promise.all(texts.map(text => (typeof text === 'string' ? contentHash(text) : null)));
+    const corrupt = missing.filter((key, i) => hashes[i] !== manifest.shards[key]);
+
+    if (corrupt.length > 0) {
+      if (repaired) throw new Error('Dictionary cache is corrupt');
+      console.warn('[Mandopop] Dictionary shards failed their integrity check, rebuilding:', corrupt);
+      if (!(await repairDictionary())) throw new Error('Dictionary unavailable');
+      return readShards(keys, { repaired: true });
+    }
+
+    missing.forEach((key, i) => {
+      const shard = JSON.parse(texts[i]);
+      shards.set(key, shard);
+      shardCache.set(key, shard);
+    });
+    while (shardCache.size > SHARD_CACHE_SIZE) {
+      shardCache.delete(shardCache.keys().next().value);
+    }
+  }
+
+  return shards;
+}
+
+// The part of the English index holding the given keys
+async function englishSlice(keys) {
+  const storeKey = key => `en:${englishShard(key)}`;
+  const shards = await readShards(keys.map(storeKey));
+  return sliceIndex(keys, key => shards.get(storeKey(key)));
+}
+
+// The part of the headword index covering the given words, plus their alias targets
+async function headwordSlice(words) {
+  const storeKey = word => `zh:${headwordShard(word)}`;
+  const shards = await readShards(words.map(storeKey));
+  const slice = sliceIndex(words, word => shards.get(storeKey(word)));
+
+  const targets = missingAliasTargets(slice);
+  if (targets.length > 0) {
+    const targetShards = await readShards(targets.map(storeKey));
+    Object.assign(slice, sliceIndex(targets, word => targetShards.get(storeKey(word))));
+  }
+
+  return slice;
+}
+
+// Word-by-word gloss of a multi-word selection that is not a key, or null:
+// { chunks, truncated }, glossing only the first MAX_GLOSS_WORDS words
+async function glossText(text, level) {
+  const words = glossWords(text);
+  if (words.length < 2) return null;
+
+  const glossed = words.slice(0, MAX_GLOSS_WORDS);
+  const chunks = glossPhrase(glossed, await englishSlice(glossKeys(glossed)), level);
+  return chunks && { chunks, truncated: glossed.length < words.length };
+}
+
+// "Did you mean" for a lookup that found nothing: spelling variants the
+// dictionary has, then keys within a small edit distance
+async function suggestWords(text) {
+  const suggestions = [];
+  for (const variant of spellingVariants(text)) {
+    if (lookup(variant, await englishSlice(englishCandidates(variant)))) suggestions.push(variant);
+    if (suggestions.length >= MAX_SUGGESTIONS) return suggestions;
+  }
+
+  const word = fuzzyQuery(text);
+  if (word) {
+    const storeKey = id => `fz:${id}`;
+    const shards = await readShards(fuzzyShardsFor(word).map(storeKey));
+    for (const key of fuzzySearch(word, id => shards.get(storeKey(id)))) {
+      if (!suggestions.includes(key)) suggestions.push(key);
+    }
+  }
+
+  return suggestions.slice(0, MAX_SUGGESTIONS);
+}
+
 // Handle messages from content scripts
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.type === 'lookup') {
-    loadDictionary().then(() => {
-      const result = lookup(request.text, dictionary);
-      sendResponse({ result });
-    });
+    englishSlice(englishCandidates(request.text))
+      .then(async (slice) => {
+        const result = lookup(request.text, slice, { ...request.level, context: request.context });
+        if (result?.length) {
+          sendResponse({ result });
+          if (isRecordedSource(request.source)) recordLookup(request.text, result[0], sender.url);
+          return;
+        }
+
+        const gloss = await glossText(request.text, request.level).catch(() => null);
+        if (gloss) {
+          sendResponse({ result: null, gloss: gloss.chunks, glossTruncated: gloss.truncated });
+        } else {
+          const suggestions = await suggestWords(request.text).catch(() => []);
+          sendResponse({ result: null, suggestions });
+        }
+      })
+      .catch(() => sendResponse({ result: null }));
+    return true; // Async response
+  }
+
+  if (request.type === 'lookupChinese') {
+    headwordSlice(headwordCandidates(request.text))
+      .then((slice) => {
+        const result = lookupChinese(request.text, slice);
+        sendResponse({ result });
+        // A selection of several words is read, not looked up word by word
+        if (result?.length === 1 && isRecordedSource(request.source)) {
+          recordLookup(result[0].word, result[0].entries[0], sender.url);
+        }
+      })
+      .catch(() => sendResponse({ result: null }));
+    return true; // Async response
+  }
+
+  if (request.type === 'saveWord') {
+    saveWord(request.entry, request.context)
+      .then(record => sendResponse({ result: record }))
+      .catch((error) => {
+        console.error('[Mandopop] Failed to save word:', error);
+        sendResponse({ result: null });
+      });
+    return true; // Async response
+  }
+
+  if (request.type === 'removeWord') {
+    removeWord(request.id)
+      .then(() => sendResponse({ result: true }))
+      .catch((error) => {
+        console.error('[Mandopop] Failed to remove word:', error);
+        sendResponse({ result: false });
+      });
+    return true; // Async response
+  }
+
+  if (request.type === 'getWords') {
+    getWords()
+      .then(words => sendResponse({ result: words }))
+      .catch((error) => {
+        console.error('[Mandopop] Failed to read word list:', error);
+        sendResponse({ result: [] });
+      });
+    return true; // Async response
+  }
+
+  if (request.type === 'getSavedIds') {
+    getSavedIds(request.ids)
+      .then(ids => sendResponse({ result: ids }))
+      .catch(() => sendResponse({ result: [] }));
+    return true; // Async response
+  }
+
+  if (request.type === 'exportWords') {
+    exportWordList(request.format)
+      .then(result => sendResponse({ result }))
+      .catch((error) => {
+        console.error('[Mandopop] Failed to export word list:', error);
+        sendResponse({ result: null });
+      });
+    return true; // Async response
+  }
+
+  if (request.type === 'importWords') {
+    importWordList(request.text, request.format)
+      .then(result => sendResponse({ result }))
+      .catch((error) => {
+        console.error('[Mandopop] Failed to import word list:', error);
+        sendResponse({ result: null });
+      });
+    return true; // Async response
+  }
+
+  if (request.type === 'getHistory') {
+    getHistory()
+      .then(records => sendResponse({ result: records }))
+      .catch((error) => {
+        console.error('[Mandopop] Failed to read history:', error);
+        sendResponse({ result: [] });
+      });
+    return true; // Async response
+  }
+
+  if (request.type === 'clearHistory') {
+    clearHistory()
+      .then(() => sendResponse({ result: true }))
+      .catch(() => sendResponse({ result: false }));
+    return true; // Async response
+  }
+
+  if (request.type === 'reviewWord') {
+    reviewWord(request.id, request.direction, request.grade)
+      .then(record => sendResponse({ result: record }))
+      .catch((error) => {
+        console.error('[Mandopop] Failed to save review:', error);
+        sendResponse({ result: null });
+      });
+    return true; // Async response
+  }
+
+  if (request.type === 'getDueCount') {
+    getDueCount()
+      .then(count => sendResponse({ result: count }))
+      .catch(() => sendResponse({ result: 0 }));
+    return true; // Async response
+  }
+
+  if (request.type === 'getDictionaryFeatures') {
+    loadDictionary()
+      .then(() => sendResponse({ result: dictionaryManifest?.features || null }))
+      .catch(() => sendResponse({ result: null }));
+    return true; // Async response
+  }
+
+  if (request.type === 'siteStatus') {
+    const tabId = sender.tab?.id;
+    if (tabId !== undefined) {
+      chrome.action.setBadgeText({ tabId, text: request.enabled ? '' : SITE_OFF_BADGE });
+      chrome.action.setBadgeBackgroundColor({ tabId, color: SITE_OFF_BADGE_COLOR });
+    }
+    return false; // No response
+  }
+
+  if (request.type === 'lookupHeadword') {
+    headwordSlice(headwordCandidates(request.text, { fromStart: true }))
+      .then((slice) => {
+        const result = lookupHeadword(request.text, slice);
+        sendResponse({ result });
+        if (result && isRecordedSource(request.source)) recordLookup(result.word, result.entries[0], sender.url);
+      })
+      .catch(() => sendResponse({ result: null }));
     return true; // Async response
   }
 });
 
-// Initialize default settings on install
+// Ask a tab's content script to look up its selection (no-op on pages without one, e.g. chrome://)
+function requestLookup(tabId, trigger, frameId) {
+  const options = frameId !== undefined ? { frameId } : {};
+  chrome.tabs.sendMessage(tabId, { type: 'lookupSelection', trigger }, options).catch(() => {});
+}
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId === LOOKUP_MENU_ID && tab?.id !== undefined) {
+    requestLookup(tab.id, 'contextMenu', info.frameId);
+  }
+});
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command === LOOKUP_COMMAND && tab?.id !== undefined) {
+    requestLookup(tab.id, 'command');
+  }
+});
+
+// Initialize default settings and the context menu on install
 chrome.runtime.onInstalled.addListener(() => {
-  chrome.storage.sync.get(['enabled', 'showAudio', 'fontSize'], (result) => {
+  chrome.contextMenus.create({
+    id: LOOKUP_MENU_ID,
+    title: 'Look up in Mandopop',
+    contexts: ['selection']
+  }, () => void chrome.runtime.lastError); // Already exists after an update
+
+  chrome.storage.sync.get(['enabled', 'showAudio', 'fontSize', 'script', 'chineseLookup', 'hoverMode', 'hoverModifier', 'reviewDirections', 'historyRetention', 'levelExam', 'targetLevel', 'siteRules', 'triggerMode', 'triggerModifier', 'triggerDelay', 'theme', 'themeOverrides'], (result) => {
     const defaults = {
       enabled: result.enabled !== undefined ? result.enabled : true,
       showAudio: result.showAudio !== undefined ? result.showAudio : true,
-      fontSize: result.fontSize !== undefined ? result.fontSize : 24
+      fontSize: result.fontSize !== undefined ? result.fontSize : 24,
+      script: result.script !== undefined ? result.script : 'traditional',
+      chineseLookup: result.chineseLookup !== undefined ? result.chineseLookup : true,
+      hoverMode: result.hoverMode !== undefined ? result.hoverMode : false,
+      hoverModifier: result.hoverModifier !== undefined ? result.hoverModifier : 'alt',
+      reviewDirections: result.reviewDirections !== undefined ? result.reviewDirections : DIRECTIONS,
+      historyRetention: result.historyRetention !== undefined ? result.historyRetention : DEFAULT_RETENTION_DAYS,
+      levelExam: result.levelExam !== undefined ? result.levelExam : DEFAULT_EXAM,
+      targetLevel: result.targetLevel !== undefined ? result.targetLevel : 0,
+      siteRules: result.siteRules !== undefined ? result.siteRules : [],
+      triggerMode: result.triggerMode !== undefined ? result.triggerMode : 'always',
+      triggerModifier: result.triggerModifier !== undefined ? result.triggerModifier : 'alt',
+      triggerDelay: result.triggerDelay !== undefined ? result.triggerDelay : 100,
+      theme: result.theme !== undefined ? result.theme : DEFAULT_THEME,
+      themeOverrides: result.themeOverrides !== undefined ? result.themeOverrides : {}
     };
     chrome.storage.sync.set(defaults);
   });
 });
 
-// Pre-load dictionary when service worker starts
+// Unpack the dictionary on first start (later starts only check the version)
 loadDictionary();
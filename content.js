@@ -8,49 +8,103 @@
 
   // Constants
   const MAX_SELECTION_LENGTH = 100;
-  const DEBOUNCE_MS = 100;
+  const MAX_GLOSS_SELECTION_LENGTH = 2000; // English passages glossed from the context menu or shortcut
+  const MAX_GLOSS_WORDS = 40; // NOTE: Keep in sync with lib/gloss.js
+  const DEFAULT_TRIGGER_DELAY_MS = 100;
   const MAX_DISPLAY_ENTRIES = 3;
+  const MAX_DISPLAY_SEGMENTS = 8;
+  const MAX_DISPLAY_CLASSIFIERS = 3;
+  const EXPANDED_PAGE_SIZE = 5;
+  const MAX_PINNED_CARDS = 4;
+  const VIEWPORT_PADDING = 10;
+  const CJK_PATTERN = /[\u4e00-\u9fff]/;
+  const HOVER_DELAY_MS = 80;
+  const MAX_HEADWORD_LENGTH = 12;
+  const HOVER_HIGHLIGHT = 'mandopop-hover';
+  const MAX_SENTENCE_LENGTH = 300;
+  const CONTEXT_BLOCK_SELECTOR = 'p, li, td, th, dd, dt, blockquote, figcaption, h1, h2, h3, h4, h5, h6, article, section, div';
   const SPEECH_RATE = 0.85;
+  const TEXT_INPUT_TYPES = ['text', 'search', 'url', 'tel'];
+  const COMMON_FREQUENCY_BAND = 2; // bands 1-2 (top 5,000 words) are "common"
+  const RARE_FREQUENCY_BAND = 5;   // set by scripts/preprocess_cedict.cjs
+  const POPUP_KEY_ACTIONS = {
+    ArrowDown: 'next', ArrowUp: 'previous', ArrowRight: 'nextPage', ArrowLeft: 'previousPage', Enter: 'play'
+  };
 
   // No-result phrases (Traditional Chinese, Taiwan Mandarin)
   const NO_RESULT_PHRASES = [
-    { s: '看不懂', p: 'kàn bù dǒng', d: ["can't understand what I'm seeing"] },
-    { s: '沒聽過', p: 'méi tīngguò', d: ["never heard of it"] },
-    { s: '問倒我了', p: 'wèn dǎo wǒ le', d: ["you've stumped me"] },
-    { s: '我的中文還要加油', p: 'wǒ de Zhōngwén hái yào jiāyóu', d: ["my Chinese still needs work"] },
-    { s: '字典也沒辦法', p: 'zìdiǎn yě méi bànfǎ', d: ["even the dictionary can't help"] },
-    { s: '這個嘛……', p: 'zhège ma...', d: ["well, this..."] },
-    { s: '蛤？', p: 'há?', d: ["huh?"] },
-    { s: '天啊，這什麼？', p: 'tiān a, zhè shénme?', d: ["heavens, what is this?"] },
-    { s: '沒有頭緒', p: 'méiyǒu tóuxù', d: ["no clue"] },
-    { s: '我想一下', p: 'wǒ xiǎng yíxià', d: ["let me think a moment"] },
-    { s: '不知道怎麼說', p: 'bù zhīdào zěnme shuō', d: ["don't know how to say it"] },
-    { s: '這個我真的不會', p: 'zhège wǒ zhēnde bú huì', d: ["this one I really don't know"] },
-    { s: '學到老，還是不會', p: 'xué dào lǎo, háishì bú huì', d: ["study till old age, still won't know"] },
-    { s: '找不到，但沒關係', p: 'zhǎo bú dào, dàn méi guānxì', d: ["can't find it, but no worries"] },
-    { s: '我也不知道耶', p: 'wǒ yě bù zhīdào yē', d: ["I don't know either"] },
+    { t: '看不懂', p: 'kàn bù dǒng', d: ["can't understand what I'm seeing"] },
+    { t: '沒聽過', p: 'méi tīngguò', d: ["never heard of it"] },
+    { t: '問倒我了', p: 'wèn dǎo wǒ le', d: ["you've stumped me"] },
+    { t: '我的中文還要加油', p: 'wǒ de Zhōngwén hái yào jiāyóu', d: ["my Chinese still needs work"] },
+    { t: '字典也沒辦法', p: 'zìdiǎn yě méi bànfǎ', d: ["even the dictionary can't help"] },
+    { t: '這個嘛……', p: 'zhège ma...', d: ["well, this..."] },
+    { t: '蛤？', p: 'há?', d: ["huh?"] },
+    { t: '天啊，這什麼？', p: 'tiān a, zhè shénme?', d: ["heavens, what is this?"] },
+    { t: '沒有頭緒', p: 'méiyǒu tóuxù', d: ["no clue"] },
+    { t: '我想一下', p: 'wǒ xiǎng yíxià', d: ["let me think a moment"] },
+    { t: '不知道怎麼說', p: 'bù zhīdào zěnme shuō', d: ["don't know how to say it"] },
+    { t: '這個我真的不會', p: 'zhège wǒ zhēnde bú huì', d: ["this one I really don't know"] },
+    { t: '學到老，還是不會', p: 'xué dào lǎo, háishì bú huì', d: ["study till old age, still won't know"] },
+    { t: '找不到，但沒關係', p: 'zhǎo bú dào, dàn méi guānxì', d: ["can't find it, but no worries"] },
+    { t: '我也不知道耶', p: 'wǒ yě bù zhīdào yē', d: ["I don't know either"] },
   ];
 
   // State
   let popup = null;
+  let popupHost = null;
+  let popupRoot = null; // Closed shadow root holding the popup and pinned cards
+  let pinnedCards = []; // Floating cards, oldest first
+  let popupStyles = '';
   let selectionTimeout = null;
+  let contextMenuTarget = null; // { point, shadowRoot } of the last right-click
+  let hoverTimeout = null;
+  let hoverState = null;
+  let hoverRequest = 0;
+  let popupAnchor = null;
+  let popupView = null; // { entries, chinese, query, gloss, glossTruncated, suggestions, keyboard, context, expanded, page, selected }
   let voicesLoaded = false;
   let speechPrewarmed = false;
   let chineseVoice = null;
+  const darkScheme = window.matchMedia('(prefers-color-scheme: dark)');
   let settings = {
     enabled: true,
     showAudio: true,
-    fontSize: 24
+    fontSize: 24,
+    script: 'traditional',
+    chineseLookup: true,
+    hoverMode: false,
+    hoverModifier: 'alt',
+    levelExam: 'hsk',
+    targetLevel: 0,
+    siteRules: [],
+    triggerMode: 'always',
+    triggerModifier: 'alt',
+    triggerDelay: DEFAULT_TRIGGER_DELAY_MS,
+    theme: 'neon',
+    themeOverrides: {}
   };
 
   // Load settings
   async function loadSettings() {
     try {
-      const stored = await chrome.storage.sync.get(['enabled', 'showAudio', 'fontSize']);
+      const stored = await chrome.storage.sync.get(['enabled', 'showAudio', 'fontSize', 'script', 'chineseLookup', 'hoverMode', 'hoverModifier', 'levelExam', 'targetLevel', 'siteRules', 'triggerMode', 'triggerModifier', 'triggerDelay', 'theme', 'themeOverrides']);
       settings = {
         enabled: stored.enabled !== false,
         showAudio: stored.showAudio !== false,
-        fontSize: stored.fontSize || 24
+        fontSize: stored.fontSize || 24,
+        script: stored.script || 'traditional',
+        chineseLookup: stored.chineseLookup !== false,
+        hoverMode: stored.hoverMode === true,
+        hoverModifier: stored.hoverModifier || 'alt',
+        levelExam: stored.levelExam || 'hsk',
+        targetLevel: stored.targetLevel || 0,
+        siteRules: stored.siteRules || [],
+        triggerMode: stored.triggerMode || 'always',
+        triggerModifier: stored.triggerModifier || 'alt',
+        triggerDelay: stored.triggerDelay !== undefined ? stored.triggerDelay : DEFAULT_TRIGGER_DELAY_MS,
+        theme: stored.theme || 'neon',
+        themeOverrides: stored.themeOverrides || {}
       };
     } catch (error) {
       console.error('[Mandopop] Failed to load settings:', error);
@@ -60,40 +114,331 @@
   // Listen for settings changes (fixed condition)
   chrome.storage.onChanged.addListener((changes) => {
     if ('enabled' in changes) settings.enabled = changes.enabled.newValue;
+    if ('siteRules' in changes) settings.siteRules = changes.siteRules.newValue || [];
+    if ('enabled' in changes || 'siteRules' in changes) {
+      reportSiteStatus();
+      if (!isActiveOnPage()) hidePopup();
+    }
     if ('showAudio' in changes) settings.showAudio = changes.showAudio.newValue;
+    if ('script' in changes) settings.script = changes.script.newValue;
+    if ('chineseLookup' in changes) settings.chineseLookup = changes.chineseLookup.newValue;
+    if ('hoverMode' in changes) settings.hoverMode = changes.hoverMode.newValue;
+    if ('hoverModifier' in changes) settings.hoverModifier = changes.hoverModifier.newValue;
+    if ('levelExam' in changes) settings.levelExam = changes.levelExam.newValue;
+    if ('targetLevel' in changes) settings.targetLevel = changes.targetLevel.newValue;
+    if ('triggerMode' in changes) settings.triggerMode = changes.triggerMode.newValue;
+    if ('triggerModifier' in changes) settings.triggerModifier = changes.triggerModifier.newValue;
+    if ('triggerDelay' in changes) settings.triggerDelay = changes.triggerDelay.newValue;
+    if ('theme' in changes || 'themeOverrides' in changes) {
+      if ('theme' in changes) settings.theme = changes.theme.newValue;
+      if ('themeOverrides' in changes) settings.themeOverrides = changes.themeOverrides.newValue || {};
+      applyTheme();
+    }
     if ('fontSize' in changes) {
       settings.fontSize = changes.fontSize.newValue;
-      if (popup) {
-        popup.style.setProperty('--mandopop-font-size', `${settings.fontSize}px`);
+      for (const element of [popup, ...pinnedCards]) {
+        element?.style.setProperty('--mandopop-font-size', `${settings.fontSize}px`);
       }
     }
   });
 
   // Lookup word via service worker (no local dictionary)
-  async function lookup(text) {
+  // Returns { entries, gloss, glossTruncated, suggestions }: when the text is not a key,
+  // a word-by-word gloss of a multi-word selection (of its start, when truncated)
+  // or else "did you mean" spellings.
+  // `context` (the sentence around the selection) puts the fitting sense first;
+  // `source` says what started it ('selection', 'hover', 'contextMenu', 'command'
+  // or 'popup'); the history only records explicit lookups (lib/history.js)
+  async function lookup(text, context = '', source = 'selection') {
     try {
-      const response = await chrome.runtime.sendMessage({ type: 'lookup', text });
-      return response?.result || null;
+      const level = { exam: settings.levelExam, targetLevel: settings.targetLevel };
+      const response = await chrome.runtime.sendMessage({ type: 'lookup', text, level, context, source });
+      return {
+        entries: response?.result || null,
+        gloss: response?.gloss || null,
+        glossTruncated: Boolean(response?.glossTruncated),
+        suggestions: response?.suggestions || []
+      };
     } catch (error) {
       console.error('[Mandopop] Lookup failed:', error);
+      return { entries: null, gloss: null, glossTruncated: false, suggestions: [] };
+    }
+  }
+
+  // Lookup Chinese text via service worker, one segment per dictionary word
+  async function lookupChinese(text, source = 'selection') {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'lookupChinese', text, source });
+      return response?.result || null;
+    } catch (error) {
+      console.error('[Mandopop] Chinese lookup failed:', error);
+      return null;
+    }
+  }
+
+  // Lookup the longest Chinese word at the start of the text (hover mode)
+  async function lookupHeadword(text, source = 'hover') {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'lookupHeadword', text, source });
+      return response?.result || null;
+    } catch (error) {
+      console.error('[Mandopop] Headword lookup failed:', error);
+      return null;
+    }
+  }
+
+  // Save an entry (with where it was met: { query, sentence } of its lookup) to the word list
+  async function saveWord(entry, lookupContext) {
+    try {
+      const context = { ...lookupContext, url: location.href, title: document.title };
+      const response = await chrome.runtime.sendMessage({ type: 'saveWord', entry, context });
+      return response?.result || null;
+    } catch (error) {
+      console.error('[Mandopop] Save failed:', error);
+      return null;
+    }
+  }
+
+  // Remove an entry from the word list
+  async function removeWord(id) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'removeWord', id });
+      return response?.result === true;
+    } catch (error) {
+      console.error('[Mandopop] Remove failed:', error);
+      return false;
+    }
+  }
+
+  // Which of the given entry ids are already saved
+  async function getSavedIds(ids) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'getSavedIds', ids });
+      return response?.result || [];
+    } catch {
+      return [];
+    }
+  }
+
+  // Stable entry id (NOTE: Keep in sync with lib/wordlist.js wordId)
+  function wordId(entry) {
+    return `${entry.t || entry.s}|${entry.s || entry.t}|${entry.p}`;
+  }
+
+  // Sentence around a phrase within a block of text
+  function extractSentence(text, phrase) {
+    const normalized = text.replace(/\s+/g, ' ').trim();
+    const target = phrase.replace(/\s+/g, ' ').trim();
+    const index = normalized.indexOf(target);
+    if (!target || index === -1) return '';
+
+    const before = normalized.slice(0, index);
+    const after = normalized.slice(index + target.length);
+
+    const start = Math.max(...['.', '!', '?', '。', '！', '？'].map(mark => before.lastIndexOf(mark))) + 1;
+    const endIndex = after.search(/[.!?。！？]/);
+    const end = endIndex === -1 ? after.length : endIndex + 1;
+
+    return (before.slice(start) + target + after.slice(0, end)).trim().slice(0, MAX_SENTENCE_LENGTH);
+  }
+
+  // Selected part of a text field's value
+  function getFieldSelection(value, start, end) {
+    return value.slice(Math.min(start, end), Math.max(start, end)).trim();
+  }
+
+  // Most specific site rule covering a page ({ site, enabled } or null)
+  // NOTE: Keep in sync with lib/sites.js findSiteRule
+  function findSiteRule(rules, url) {
+    let hostname;
+    try {
+      const parsed = new URL(url);
+      if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+      hostname = parsed.hostname;
+    } catch {
       return null;
     }
+
+    let best = null;
+    for (const rule of rules || []) {
+      const covers = hostname === rule.site || hostname.endsWith(`.${rule.site}`);
+      if (covers && (!best || rule.site.length > best.site.length)) {
+        best = rule;
+      }
+    }
+    return best;
+  }
+
+  // Tab's page URL; frames follow the site of the top-level page they are embedded in
+  function getPageUrl() {
+    const ancestors = location.ancestorOrigins;
+    return ancestors && ancestors.length > 0 ? ancestors[ancestors.length - 1] : location.href;
+  }
+
+  // Global toggle, overridden by a site rule for this page
+  function isActiveOnPage() {
+    const rule = findSiteRule(settings.siteRules, getPageUrl());
+    return rule ? rule.enabled : settings.enabled;
+  }
+
+  // Tell the service worker whether this tab is on, for the toolbar badge
+  function reportSiteStatus() {
+    if (window !== window.top) return;
+    chrome.runtime.sendMessage({ type: 'siteStatus', enabled: isActiveOnPage() }).catch(() => {});
+  }
+
+  // Text of the block element around a node, for sentence context
+  function getContextText(node) {
+    const element = node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+    if (!element) return '';
+    return (element.closest(CONTEXT_BLOCK_SELECTOR) || element).textContent || '';
+  }
+
+  // Innermost open shadow root an event came from (null in the light DOM)
+  function getEventShadowRoot(event) {
+    return event.composedPath().find(node => node instanceof ShadowRoot) || null;
+  }
+
+  // Focused <textarea> or text <input>, looking inside open shadow roots
+  function getFocusedTextField() {
+    let element = document.activeElement;
+    while (element?.shadowRoot?.activeElement) {
+      element = element.shadowRoot.activeElement;
+    }
+
+    if (element instanceof HTMLTextAreaElement) return element;
+    if (element instanceof HTMLInputElement && TEXT_INPUT_TYPES.includes(element.type)) return element;
+    return null;
+  }
+
+  // Selected range in a shadow root: Chromium's ShadowRoot.getSelection(), or the
+  // standard Selection.getComposedRanges() converted to a live Range
+  function getShadowSelectionRange(shadowRoot) {
+    const shadowSelection = shadowRoot.getSelection?.();
+    if (shadowSelection && shadowSelection.rangeCount > 0) return shadowSelection.getRangeAt(0);
+
+    const selection = window.getSelection();
+    if (!selection.getComposedRanges) return null;
+
+    const [composed] = selection.getComposedRanges({ shadowRoots: [shadowRoot] });
+    if (!composed || composed.collapsed) return null;
+
+    const range = document.createRange();
+    range.setStart(composed.startContainer, composed.startOffset);
+    range.setEnd(composed.endContainer, composed.endOffset);
+    return range;
   }
 
-  // Create popup element
+  // Innermost open shadow root holding focus, for lookups not started by a mouse event
+  function getFocusedShadowRoot() {
+    let root = null;
+    let element = document.activeElement;
+    while (element?.shadowRoot) {
+      root = element.shadowRoot;
+      element = root.activeElement;
+    }
+    return root;
+  }
+
+  // Current selection as { text, rect, contextText }, from a text field, an open
+  // shadow root or the document; rect is in this frame's viewport coordinates.
+  // point ({ clientX, clientY }, e.g. the mouse event) anchors text field selections
+  function readSelection(point, shadowRoot) {
+    const field = getFocusedTextField();
+    if (field && field.selectionStart !== field.selectionEnd) {
+      const text = getFieldSelection(field.value, field.selectionStart, field.selectionEnd);
+      // Field text has no client rects; anchor at the pointer inside the field, else below it
+      const fieldRect = field.getBoundingClientRect();
+      const left = point ? Math.min(Math.max(point.clientX, fieldRect.left), fieldRect.right) : fieldRect.left;
+      const bottom = point ? Math.min(Math.max(point.clientY, fieldRect.top), fieldRect.bottom) : fieldRect.bottom;
+      return { text, rect: { left, bottom }, contextText: field.value };
+    }
+
+    const selection = window.getSelection();
+    const range = (shadowRoot && getShadowSelectionRange(shadowRoot))
+      || (selection.rangeCount > 0 ? selection.getRangeAt(0) : null);
+    if (!range) return null;
+
+    return {
+      text: range.toString().trim(),
+      rect: range.getBoundingClientRect(),
+      contextText: getContextText(range.commonAncestorContainer)
+    };
+  }
+
+  // Fetch the popup stylesheet (web-accessible) for the shadow root
+  async function loadPopupStyles() {
+    try {
+      const response = await fetch(chrome.runtime.getURL('styles.css'));
+      popupStyles = await response.text();
+    } catch (error) {
+      console.error('[Mandopop] Failed to load popup styles:', error);
+    }
+  }
+
+  // Preset for the theme setting ('auto' follows the system color scheme)
+  // NOTE: Keep in sync with lib/themes.js resolveTheme
+  function resolveTheme(theme, prefersDark) {
+    if (theme === 'auto') return prefersDark ? 'neon' : 'light';
+    return ['neon', 'light', 'sepia', 'contrast'].includes(theme) ? theme : 'neon';
+  }
+
+  // Select the preset on the shadow host (styles.css) and apply editor overrides,
+  // which inherit into the popup and pinned cards as custom properties
+  function applyTheme() {
+    if (!popupHost) return;
+
+    popupHost.dataset.theme = resolveTheme(settings.theme, darkScheme.matches);
+    popupHost.style.cssText = '';
+    for (const [property, value] of Object.entries(settings.themeOverrides)) {
+      if (property.startsWith('--mandopop-') && typeof value === 'string') {
+        popupHost.style.setProperty(property, value);
+      }
+    }
+  }
+
+  // Create popup element inside a closed shadow root, so page CSS can't reach
+  // it and styles.css can't leak out; custom properties still inherit through the host
   function createPopup() {
     if (popup) return popup;
 
+    popupHost = document.createElement('div');
+    popupHost.id = 'mandopop-host';
+    const shadow = popupHost.attachShadow({ mode: 'closed' });
+    popupRoot = shadow;
+    applyTheme();
+
+    // Inline the preloaded stylesheet so the first popup is styled immediately
+    if (popupStyles) {
+      const style = document.createElement('style');
+      style.textContent = popupStyles;
+      shadow.appendChild(style);
+    } else {
+      const link = document.createElement('link');
+      link.rel = 'stylesheet';
+      link.href = chrome.runtime.getURL('styles.css');
+      shadow.appendChild(link);
+    }
+
     popup = document.createElement('div');
     popup.id = 'mandopop-popup';
     popup.setAttribute('role', 'status');
     popup.setAttribute('aria-live', 'polite');
+    // Focusable, so a click into the popup hands it the arrow keys
+    popup.tabIndex = -1;
     popup.style.setProperty('--mandopop-font-size', `${settings.fontSize}px`);
-    document.body.appendChild(popup);
+    shadow.appendChild(popup);
+    (document.body || document.documentElement).appendChild(popupHost);
 
     return popup;
   }
 
+  // Whether a document-level event came from the popup
+  // (events from a closed shadow root are retargeted to its host)
+  function isPopupEvent(event) {
+    return Boolean(popupHost && popupHost.contains(event.target));
+  }
+
   // Create audio button element (DOM API, no innerHTML)
   function createAudioButton(text) {
     const btn = document.createElement('button');
@@ -114,68 +459,480 @@
     return btn;
   }
 
+  // Create save (star) button element - toggles the entry in the word list
+  function createSaveButton(entry, context) {
+    const btn = document.createElement('button');
+    btn.className = 'mandopop-save-btn';
+    btn.dataset.id = wordId(entry);
+    btn.title = 'Save to word list';
+
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.setAttribute('viewBox', '0 0 24 24');
+
+    const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    path.setAttribute('d', 'M12 17.27L18.18 21l-1.64-7.03L22 9.24l-7.19-.61L12 2 9.19 8.63 2 9.24l5.46 4.73L5.82 21z');
+
+    svg.appendChild(path);
+    btn.appendChild(svg);
+    btn.addEventListener('click', (event) => handleSaveClick(event, entry, context));
+
+    return btn;
+  }
+
+  // Reflect saved state on a save button
+  function setSaved(btn, saved) {
+    btn.classList.toggle('mandopop-saved', saved);
+    btn.title = saved ? 'Remove from word list' : 'Save to word list';
+  }
+
+  // Handle save button click
+  async function handleSaveClick(event, entry, context) {
+    event.preventDefault();
+    event.stopPropagation();
+
+    const btn = event.currentTarget;
+    if (btn.classList.contains('mandopop-saved')) {
+      if (await removeWord(btn.dataset.id)) setSaved(btn, false);
+    } else {
+      if (await saveWord(entry, context)) setSaved(btn, true);
+    }
+  }
+
+  // Fill in stars for entries already in the word list
+  async function markSavedEntries(container) {
+    const buttons = [...container.querySelectorAll('.mandopop-save-btn')];
+    if (buttons.length === 0) return;
+
+    const saved = new Set(await getSavedIds(buttons.map(btn => btn.dataset.id)));
+    for (const btn of buttons) {
+      setSaved(btn, saved.has(btn.dataset.id));
+    }
+  }
+
+  // Headword forms to display for the chosen script: [primary, secondary?]
+  // Entries cached before Traditional was kept only carry `s`
+  function getHeadwords(entry, script) {
+    const traditional = entry.t || entry.s;
+    const simplified = entry.s || entry.t;
+
+    if (script === 'simplified') return [simplified];
+    if (script === 'both' && simplified !== traditional) return [traditional, simplified];
+    return [traditional];
+  }
+
+  // "leaves → leaf" when an English lookup matched a different form than selected
+  function getMatchLabel(query, match) {
+    if (!query || !match) return '';
+    const selected = query.toLowerCase().replace(/\s+/g, ' ').replace(/^['"]+|[.,!?;:'"]+$/g, '').trim();
+    return selected === match ? '' : `${selected} → ${match}`;
+  }
+
+  // "common" / "rare" badge text for an entry's frequency band (none without a band)
+  function getFrequencyLabel(band) {
+    if (!band) return '';
+    if (band <= COMMON_FREQUENCY_BAND) return 'common';
+    if (band >= RARE_FREQUENCY_BAND) return 'rare';
+    return '';
+  }
+
+  // Level badge text for the chosen exam ("HSK 3", "HSK 7–9", "TOCFL 2")
+  // NOTE: Keep in sync with lib/levels.js
+  function getLevelLabel(entry, exam) {
+    const level = entry.l?.[exam];
+    if (!level) return '';
+    if (exam === 'hsk') return level >= 7 ? 'HSK 7–9' : `HSK ${level}`;
+    return `TOCFL ${level}`;
+  }
+
+  // Phrase spoken for a measure word: "一" + classifier + noun (一個蘋果)
+  function getMeasurePhrase(classifier, noun) {
+    return `一${classifier}${noun}`;
+  }
+
+  // Classifier line: each measure word with its pinyin and audio for "一個 + noun"
+  function createClassifierLine(entry, headword) {
+    const line = document.createElement('div');
+    line.className = 'mandopop-classifiers';
+
+    const label = document.createElement('span');
+    label.className = 'mandopop-ref-label';
+    label.textContent = 'CL';
+    line.appendChild(label);
+
+    for (const classifier of entry.c.slice(0, MAX_DISPLAY_CLASSIFIERS)) {
+      const [form] = getHeadwords(classifier, settings.script);
+
+      const item = document.createElement('span');
+      item.className = 'mandopop-classifier';
+
+      const chineseSpan = document.createElement('span');
+      chineseSpan.className = 'mandopop-classifier-chinese';
+      chineseSpan.textContent = form;
+      item.appendChild(chineseSpan);
+
+      if (classifier.p) {
+        const pinyinSpan = document.createElement('span');
+        pinyinSpan.className = 'mandopop-classifier-pinyin';
+        pinyinSpan.textContent = classifier.p;
+        item.appendChild(pinyinSpan);
+      }
+
+      if (settings.showAudio) {
+        const phrase = getMeasurePhrase(form, headword);
+        const btn = createAudioButton(phrase);
+        btn.title = `Play ${phrase}`;
+        item.appendChild(btn);
+      }
+
+      line.appendChild(item);
+    }
+
+    return line;
+  }
+
+  // Cross-reference line ("variant of 裡", "see also 某"), each link opening that entry
+  function createReferenceLine(label, refs) {
+    const line = document.createElement('div');
+    line.className = 'mandopop-references';
+
+    const labelSpan = document.createElement('span');
+    labelSpan.className = 'mandopop-ref-label';
+    labelSpan.textContent = label;
+    line.appendChild(labelSpan);
+
+    for (const ref of refs) {
+      const link = document.createElement('button');
+      link.className = 'mandopop-ref';
+      link.textContent = getHeadwords(ref, settings.script).join(' ');
+      link.title = ref.p ? `${ref.p} - open entry` : 'Open entry';
+      link.addEventListener('click', (event) => handleReferenceClick(event, ref));
+      line.appendChild(link);
+    }
+
+    return line;
+  }
+
+  // Show a cross-referenced entry in the same popup
+  async function handleReferenceClick(event, ref) {
+    event.preventDefault();
+    event.stopPropagation();
+
+    const result = await lookupHeadword(ref.t, 'popup');
+    if (!result || result.word !== ref.t || !popupAnchor) return;
+
+    // Narrow to the referenced reading when the reference gives pinyin
+    const reading = result.entries.filter(e => ref.p && e.p.toLowerCase() === ref.p.toLowerCase());
+    const entries = reading.length > 0 ? reading : result.entries;
+
+    renderPopup(entries, popupAnchor.x, popupAnchor.y, { chinese: true, keyboard: popupView?.keyboard, context: popupView?.context });
+  }
+
+  // "did you mean" line under the no-result entry, each suggestion looking itself up
+  function createSuggestionLine(suggestions) {
+    const line = document.createElement('div');
+    line.className = 'mandopop-references mandopop-suggestions';
+
+    const labelSpan = document.createElement('span');
+    labelSpan.className = 'mandopop-ref-label';
+    labelSpan.textContent = 'did you mean';
+    line.appendChild(labelSpan);
+
+    for (const suggestion of suggestions) {
+      const link = document.createElement('button');
+      link.className = 'mandopop-ref mandopop-suggestion';
+      link.textContent = suggestion;
+      link.title = `Look up "${suggestion}"`;
+      link.addEventListener('click', (event) => handleSuggestionClick(event, suggestion));
+      line.appendChild(link);
+    }
+
+    return line;
+  }
+
+  // Look up a suggested spelling in the same popup
+  async function handleSuggestionClick(event, suggestion) {
+    event.preventDefault();
+    event.stopPropagation();
+
+    const { context } = popupView;
+    const { entries, gloss, glossTruncated, suggestions } = await lookup(suggestion, context.sentence, 'popup');
+    if (!popupAnchor) return;
+
+    renderPopup(entries, popupAnchor.x, popupAnchor.y, {
+      query: suggestion, gloss, glossTruncated, suggestions, keyboard: popupView?.keyboard, context: { ...context, query: suggestion }
+    });
+  }
+
   // Create entry element (DOM API, no innerHTML)
-  function createEntryElement(entry, showDefinitions) {
+  // `gloss` is the English chunk a gloss row stands for, shown above the headword
+  function createEntryElement(entry, showDefinitions, { savable = true, context = null, query = '', allDefinitions = false, gloss = '' } = {}) {
     const entryDiv = document.createElement('div');
     entryDiv.className = 'mandopop-entry';
 
     const contentDiv = document.createElement('div');
     contentDiv.className = 'mandopop-entry-content';
 
+    if (gloss) {
+      const glossDiv = document.createElement('div');
+      glossDiv.className = 'mandopop-gloss-word';
+      glossDiv.textContent = getMatchLabel(gloss, entry.match) || gloss;
+      contentDiv.appendChild(glossDiv);
+    }
+
     const mainRow = document.createElement('div');
     mainRow.className = 'mandopop-main-row';
 
+    const [headword, altHeadword] = getHeadwords(entry, settings.script);
+
     const chineseSpan = document.createElement('span');
     chineseSpan.className = 'mandopop-chinese';
-    chineseSpan.textContent = entry.s;
+    chineseSpan.textContent = headword;
+    mainRow.appendChild(chineseSpan);
+
+    if (altHeadword) {
+      const altSpan = document.createElement('span');
+      altSpan.className = 'mandopop-chinese mandopop-chinese-alt';
+      altSpan.textContent = altHeadword;
+      mainRow.appendChild(altSpan);
+    }
 
     const pinyinSpan = document.createElement('span');
     pinyinSpan.className = 'mandopop-pinyin';
     pinyinSpan.textContent = entry.p;
 
-    mainRow.appendChild(chineseSpan);
     mainRow.appendChild(pinyinSpan);
+
+    const levelLabel = getLevelLabel(entry, settings.levelExam);
+    if (levelLabel) {
+      const badge = document.createElement('span');
+      badge.className = 'mandopop-badge mandopop-badge-level';
+      badge.textContent = levelLabel;
+      mainRow.appendChild(badge);
+    }
+
+    const frequencyLabel = getFrequencyLabel(entry.f);
+    if (frequencyLabel) {
+      const badge = document.createElement('span');
+      badge.className = `mandopop-badge mandopop-badge-${frequencyLabel}`;
+      badge.textContent = frequencyLabel;
+      mainRow.appendChild(badge);
+    }
+
     contentDiv.appendChild(mainRow);
 
+    const matchLabel = gloss ? '' : getMatchLabel(query, entry.match);
+    if (matchLabel) {
+      const matchDiv = document.createElement('div');
+      matchDiv.className = 'mandopop-match';
+      matchDiv.textContent = matchLabel;
+      contentDiv.appendChild(matchDiv);
+    }
+
+    // Sense of an English lookup: the definition the entry was found under
+    const showSense = Boolean(entry.sense) && !gloss;
+    if (showSense) {
+      const senseDiv = document.createElement('div');
+      senseDiv.className = 'mandopop-sense';
+      senseDiv.textContent = entry.sense;
+      senseDiv.title = 'Sense this entry was found under';
+      contentDiv.appendChild(senseDiv);
+    }
+
     if (showDefinitions) {
-      const defsDiv = document.createElement('div');
-      defsDiv.className = 'mandopop-definitions';
-      defsDiv.textContent = entry.d.slice(0, 2).join('; ');
-      contentDiv.appendChild(defsDiv);
+      // The compact view leaves out the definition the sense line already shows
+      const definitions = allDefinitions ? entry.d : entry.d.filter((_, i) => !showSense || i !== entry.k).slice(0, 2);
+      if (definitions.length > 0) {
+        const defsDiv = document.createElement('div');
+        defsDiv.className = 'mandopop-definitions';
+        defsDiv.textContent = definitions.join('; ');
+        contentDiv.appendChild(defsDiv);
+      }
+    }
+
+    if (entry.c?.length) {
+      contentDiv.appendChild(createClassifierLine(entry, headword));
+    }
+
+    // Variant labels differ ("variant of", "old variant of"): one line per label
+    const variantLabels = [...new Set((entry.v || []).map(ref => ref.l))];
+    for (const variantLabel of variantLabels) {
+      contentDiv.appendChild(createReferenceLine(variantLabel, entry.v.filter(ref => ref.l === variantLabel)));
+    }
+
+    if (entry.x?.length) {
+      contentDiv.appendChild(createReferenceLine('see also', entry.x));
     }
 
     entryDiv.appendChild(contentDiv);
 
+    if (savable) {
+      entryDiv.appendChild(createSaveButton(entry, context));
+    }
+
     if (settings.showAudio) {
-      entryDiv.appendChild(createAudioButton(entry.s));
+      entryDiv.appendChild(createAudioButton(headword));
     }
 
     return entryDiv;
   }
 
-  // Render popup content (DOM API, no innerHTML)
-  function renderPopup(entries, x, y) {
-    const popup = createPopup();
+  // Whether the compact view hides entries or definitions the "more" view would show
+  function hasMoreToShow(entries, maxEntries, showDefinitions) {
+    const shownDefinitions = showDefinitions ? 2 : 0;
+    return entries.length > maxEntries || entries.some(entry => entry.d.length > shownDefinitions);
+  }
 
-    // Clear existing content safely
-    popup.replaceChildren();
+  // [start, end) of a page of the expanded view
+  function getPageBounds(page, total, pageSize) {
+    const start = page * pageSize;
+    return [start, Math.min(start + pageSize, total)];
+  }
 
-    const hasMultipleEntries = entries && entries.length > 1;
+  function getPageCount(total, pageSize) {
+    return Math.max(1, Math.ceil(total / pageSize));
+  }
+
+  // Footer button (DOM API); `action` runs without dismissing the popup
+  function createFooterButton(label, title, action, disabled = false) {
+    const btn = document.createElement('button');
+    btn.className = 'mandopop-footer-btn';
+    btn.textContent = label;
+    btn.title = title;
+    btn.disabled = disabled;
+    btn.addEventListener('click', (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      action();
+    });
+    return btn;
+  }
 
-    if (entries && entries.length > 0) {
-      const displayEntries = entries.slice(0, MAX_DISPLAY_ENTRIES);
+  // Rows and definitions shown by the compact view
+  // Chinese lookups always show definitions and allow more rows (one per word);
+  // a gloss shows every word, headwords only
+  function getCompactLayout({ entries, chinese, gloss }) {
+    if (gloss) return { showDefinitions: false, maxEntries: entries.length };
+    return {
+      showDefinitions: chinese || entries.length > 1,
+      maxEntries: chinese ? MAX_DISPLAY_SEGMENTS : MAX_DISPLAY_ENTRIES
+    };
+  }
+
+  // Entry elements for a view: the compact rows, or one page of the expanded view
+  function createViewEntries(view) {
+    const { entries, query, expanded, context } = view;
+    // A gloss row's English chunk, by entry index (entries are the gloss chunks that have one)
+    const glossTexts = view.gloss ? view.gloss.filter(chunk => chunk.entry).map(chunk => chunk.text) : [];
+
+    if (expanded) {
+      const [start, end] = getPageBounds(view.page, entries.length, EXPANDED_PAGE_SIZE);
+      return entries.slice(start, end).map((entry, i) =>
+        createEntryElement(entry, true, { query, context, allDefinitions: true, gloss: glossTexts[start + i] })
+      );
+    }
 
-      for (const entry of displayEntries) {
-        popup.appendChild(createEntryElement(entry, hasMultipleEntries));
+    if (view.gloss) {
+      const rows = view.gloss.map(chunk => (chunk.entry
+        ? createEntryElement(chunk.entry, false, { context, gloss: chunk.text })
+        : createGlossGap(chunk.text)));
+      if (view.glossTruncated) rows.push(createGlossNote());
+      return rows;
+    }
+
+    const { showDefinitions, maxEntries } = getCompactLayout(view);
+    return entries.slice(0, maxEntries).map(entry => createEntryElement(entry, showDefinitions, { query, context }));
+  }
+
+  // Gloss row for a word without an entry, keeping the sentence's order
+  function createGlossGap(text) {
+    const gap = document.createElement('div');
+    gap.className = 'mandopop-gloss-gap';
+    gap.textContent = text;
+    return gap;
+  }
+
+  // Closing gloss row for a selection glossed only up to MAX_GLOSS_WORDS
+  function createGlossNote() {
+    const note = document.createElement('div');
+    note.className = 'mandopop-gloss-note';
+    note.textContent = `Glossed the first ${MAX_GLOSS_WORDS} words; select less to see the rest`;
+    return note;
+  }
+
+  // "pin" always, "play all" for a gloss; "more" in the compact view; pager and "less" in the expanded view
+  function createFooter() {
+    const footer = document.createElement('div');
+    footer.className = 'mandopop-footer';
+
+    const pinButton = createFooterButton('pin', 'Keep as a card that stays open', pinPopup);
+    pinButton.classList.add('mandopop-pin-btn');
+    footer.appendChild(pinButton);
+
+    if (popupView.gloss) {
+      footer.appendChild(createFooterButton('play all', 'Play every word in order', playGloss));
+    }
+
+    if (!popupView.expanded) {
+      const { showDefinitions, maxEntries } = getCompactLayout(popupView);
+      if (hasMoreToShow(popupView.entries, maxEntries, showDefinitions)) {
+        footer.appendChild(createFooterButton(`more (${popupView.entries.length})`, 'All entries and definitions (→)', () => setExpanded(true)));
       }
-    } else {
+      return footer;
+    }
+
+    const pages = getPageCount(popupView.entries.length, EXPANDED_PAGE_SIZE);
+    const pageLabel = document.createElement('span');
+    pageLabel.className = 'mandopop-page';
+    pageLabel.textContent = `${popupView.page + 1} / ${pages}`;
+
+    footer.append(
+      createFooterButton('‹', 'Previous page (←)', () => turnPage(-1), popupView.page === 0),
+      pageLabel,
+      createFooterButton('›', 'Next page (→)', () => turnPage(1), popupView.page >= pages - 1),
+      createFooterButton('less', 'Back to the short view', () => setExpanded(false))
+    );
+    return footer;
+  }
+
+  // Fill the popup for the current view and keep it inside the viewport
+  function drawPopup() {
+    const popup = createPopup();
+
+    // Clear existing content safely
+    popup.replaceChildren();
+    popup.classList.toggle('mandopop-expanded', popupView.expanded);
+
+    if (popupView.entries.length === 0) {
       const phrase = NO_RESULT_PHRASES[Math.floor(Math.random() * NO_RESULT_PHRASES.length)];
-      const entry = createEntryElement(phrase, true);
+      const entry = createEntryElement(phrase, true, { savable: false });
       entry.classList.add('mandopop-no-result-entry');
       popup.appendChild(entry);
+      if (popupView.suggestions.length > 0) {
+        popup.appendChild(createSuggestionLine(popupView.suggestions));
+      }
+    } else {
+      popup.append(...createViewEntries(popupView));
+      popup.appendChild(createFooter());
     }
 
-    positionPopup(popup, x, y);
+    highlightSelectedEntry();
+    positionPopup(popup, popupAnchor.x, popupAnchor.y);
+    markSavedEntries(popup);
+  }
+
+  // Render popup content (DOM API, no innerHTML)
+  // English results are labelled with the form they matched when it differs from `query`;
+  // a `gloss` ([{ text, entry }]) replaces them with one row per chunk of the selection,
+  // and `suggestions` are offered when there are no entries. `keyboard` lets the
+  // arrow keys and Enter drive the popup without focusing it (shortcut lookups).
+  // `context` ({ query, sentence }) is saved with words starred in this view
+  function renderPopup(entries, x, y, { chinese = false, query = '', gloss = null, glossTruncated = false, suggestions = [], keyboard = false, context = { query: '', sentence: '' } } = {}) {
+    const popup = createPopup();
+    popupAnchor = { x, y };
+    const viewEntries = gloss ? gloss.filter(chunk => chunk.entry).map(chunk => chunk.entry) : entries || [];
+    popupView = { entries: viewEntries, chinese, query, gloss, glossTruncated, suggestions, keyboard, context, expanded: false, page: 0, selected: -1 };
+
+    drawPopup();
 
     popup.classList.remove('mandopop-visible');
     requestAnimationFrame(() => {
@@ -183,9 +940,188 @@
     });
   }
 
+  // Switch between the compact and the paged "more" view
+  function setExpanded(expanded) {
+    popupView.expanded = expanded;
+    popupView.page = 0;
+    popupView.selected = -1;
+    drawPopup();
+  }
+
+  // Next/previous page of the expanded view (the compact view expands first)
+  function turnPage(delta) {
+    if (!popupView.expanded) {
+      if (delta > 0) setExpanded(true);
+      return;
+    }
+
+    const pages = getPageCount(popupView.entries.length, EXPANDED_PAGE_SIZE);
+    const page = Math.min(Math.max(popupView.page + delta, 0), pages - 1);
+    if (page === popupView.page) return;
+
+    popupView.page = page;
+    popupView.selected = delta > 0 ? 0 : -1;
+    drawPopup();
+    if (popupView.selected === -1) moveSelection(-1);
+  }
+
+  function getDisplayedEntries() {
+    return popup ? [...popup.querySelectorAll('.mandopop-entry')] : [];
+  }
+
+  function highlightSelectedEntry() {
+    getDisplayedEntries().forEach((el, i) => {
+      el.classList.toggle('mandopop-selected', i === popupView.selected);
+    });
+  }
+
+  // Move the keyboard selection; the expanded view continues onto the next/previous page
+  function moveSelection(delta) {
+    const count = getDisplayedEntries().length;
+    const next = popupView.selected === -1 && delta < 0 ? count - 1 : popupView.selected + delta;
+
+    if (next >= count && popupView.expanded) {
+      turnPage(1);
+      return;
+    }
+    if (next < 0 && popupView.expanded && popupView.page > 0) {
+      turnPage(-1);
+      return;
+    }
+
+    popupView.selected = Math.min(Math.max(next, 0), count - 1);
+    highlightSelectedEntry();
+    getDisplayedEntries()[popupView.selected]?.scrollIntoView({ block: 'nearest' });
+  }
+
+  // Play the selected entry's headword (first entry when nothing is selected)
+  function playSelectedEntry() {
+    if (popupView.selected === -1) moveSelection(1);
+    const entry = getDisplayedEntries()[popupView.selected];
+    entry?.querySelector(':scope > .mandopop-audio-btn')?.click();
+  }
+
+  // Detach the popup's current view into a floating card that survives new selections
+  function pinPopup() {
+    if (pinnedCards.length >= MAX_PINNED_CARDS) {
+      closeCard(pinnedCards[0]);
+    }
+
+    const rect = popup.getBoundingClientRect();
+    const card = document.createElement('div');
+    card.className = 'mandopop-card';
+    card.style.setProperty('--mandopop-font-size', `${settings.fontSize}px`);
+    card.style.left = `${rect.left}px`;
+    card.style.top = `${rect.top}px`;
+
+    const header = document.createElement('div');
+    header.className = 'mandopop-card-header';
+    header.title = 'Drag to move';
+    header.addEventListener('pointerdown', (event) => startCardDrag(event, card));
+
+    // The card keeps its own copy of the lookup context, so its stars save the
+    // sentence it came from rather than that of a later lookup
+    const view = { ...popupView, context: { ...popupView.context } };
+
+    const title = document.createElement('span');
+    title.className = 'mandopop-card-title';
+    title.textContent = view.query || getHeadwords(view.entries[0], settings.script)[0];
+
+    const closeButton = createFooterButton('×', 'Close (Esc)', () => closeCard(card));
+    header.append(title, closeButton);
+
+    card.setAttribute('aria-label', `Pinned: ${title.textContent}`);
+    card.append(header, ...createViewEntries(view));
+
+    // Cards stack below the live popup
+    popupRoot.insertBefore(card, popup);
+    pinnedCards.push(card);
+    markSavedEntries(card);
+    hidePopup();
+  }
+
+  function closeCard(card) {
+    card.remove();
+    pinnedCards = pinnedCards.filter(pinned => pinned !== card);
+  }
+
+  // Top-left corner for a box moved to (left, top), kept inside the viewport
+  function clampToViewport(left, top, width, height, viewportWidth, viewportHeight) {
+    return {
+      left: Math.max(VIEWPORT_PADDING, Math.min(left, viewportWidth - width - VIEWPORT_PADDING)),
+      top: Math.max(VIEWPORT_PADDING, Math.min(top, viewportHeight - height - VIEWPORT_PADDING))
+    };
+  }
+
+  // Drag a card by its header; also raises it above the other cards
+  function startCardDrag(event, card) {
+    if (event.button !== 0 || event.target.closest('button')) return;
+    // Also suppresses the mouse events, so the page sees no selection or click
+    event.preventDefault();
+
+    popupRoot.insertBefore(card, popup);
+    const header = event.currentTarget;
+    const rect = card.getBoundingClientRect();
+    const offsetX = event.clientX - rect.left;
+    const offsetY = event.clientY - rect.top;
+    header.setPointerCapture(event.pointerId);
+
+    const move = (moveEvent) => {
+      const { left, top } = clampToViewport(
+        moveEvent.clientX - offsetX, moveEvent.clientY - offsetY,
+        rect.width, rect.height, window.innerWidth, window.innerHeight
+      );
+      card.style.left = `${left}px`;
+      card.style.top = `${top}px`;
+    };
+
+    const end = () => {
+      header.removeEventListener('pointermove', move);
+      header.removeEventListener('pointerup', end);
+      header.removeEventListener('pointercancel', end);
+    };
+
+    header.addEventListener('pointermove', move);
+    header.addEventListener('pointerup', end);
+    header.addEventListener('pointercancel', end);
+  }
+
+  // Popup action for a keydown, or null to leave the key to the page (scrolling,
+  // Shift+Arrow selection, Enter on a link or button). The popup only takes keys
+  // while `active`: focus is inside it, or its lookup was started from the keyboard.
+  // `focused` is the element with focus, inside the popup when focus is there
+  function getPopupKeyAction(event, focused, active) {
+    if (!active || event.shiftKey || event.ctrlKey || event.altKey || event.metaKey) return null;
+    if (focused.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(focused.tagName)) return null;
+
+    const interactive = /^(A|BUTTON|SUMMARY)$/.test(focused.tagName) || /^(button|link)$/.test(focused.getAttribute?.('role'));
+    if (event.key === 'Enter' && interactive) return null;
+
+    return POPUP_KEY_ACTIONS[event.key] || null;
+  }
+
+  // Arrow keys and Enter while a result popup is showing
+  function handlePopupKey(event) {
+    if (!popupView || popupView.entries.length === 0) return false;
+    if (!isPopupVisible()) return false;
+
+    const inPopup = isPopupEvent(event);
+    const focused = inPopup ? popupRoot.activeElement || popup : event.target;
+    const action = getPopupKeyAction(event, focused, inPopup || popupView.keyboard);
+
+    if (action === 'next') moveSelection(1);
+    else if (action === 'previous') moveSelection(-1);
+    else if (action === 'nextPage') turnPage(1);
+    else if (action === 'previousPage') turnPage(-1);
+    else if (action === 'play') playSelectedEntry();
+    else return false;
+
+    return true;
+  }
+
   // Position popup near selection
   function positionPopup(popup, x, y) {
-    const padding = 10;
+    const padding = VIEWPORT_PADDING;
     const viewportWidth = window.innerWidth;
     const viewportHeight = window.innerHeight;
 
@@ -220,13 +1156,151 @@
     popup.style.visibility = 'visible';
   }
 
+  function isPopupVisible() {
+    return Boolean(popup && popup.classList.contains('mandopop-visible'));
+  }
+
   // Hide popup
   function hidePopup() {
+    clearHover();
     if (popup) {
       popup.classList.remove('mandopop-visible');
     }
   }
 
+  // Whether the configured modifier key is held (hover mode, modifier trigger)
+  function isModifierHeld(event, modifier) {
+    if (modifier === 'alt') return event.altKey;
+    if (modifier === 'ctrl') return event.ctrlKey || event.metaKey;
+    if (modifier === 'shift') return event.shiftKey;
+    return true;
+  }
+
+  // Whether a mouse selection should pop up under the trigger mode:
+  // 'always', 'modifier' (key held on release) or 'doubleClick'
+  function shouldTrigger(event, mode, modifier) {
+    if (mode === 'modifier') return isModifierHeld(event, modifier);
+    if (mode === 'doubleClick') return event.detail === 2;
+    return true;
+  }
+
+  // Caret position under the pointer, as { node, offset } within a text node
+  function caretFromPoint(x, y) {
+    let node = null;
+    let offset = 0;
+
+    if (document.caretPositionFromPoint) {
+      const position = document.caretPositionFromPoint(x, y);
+      if (!position) return null;
+      node = position.offsetNode;
+      offset = position.offset;
+    } else if (document.caretRangeFromPoint) {
+      const range = document.caretRangeFromPoint(x, y);
+      if (!range) return null;
+      node = range.startContainer;
+      offset = range.startOffset;
+    }
+
+    if (!node || node.nodeType !== Node.TEXT_NODE) return null;
+    return { node, offset };
+  }
+
+  // Index of the Chinese character actually under the pointer, or -1
+  // (the caret lands on the nearest boundary, which may follow the character)
+  function charIndexAtPoint(node, offset, x, y) {
+    for (const index of [offset, offset - 1]) {
+      if (index < 0 || index >= node.data.length) continue;
+      if (!CJK_PATTERN.test(node.data[index])) continue;
+
+      const range = document.createRange();
+      range.setStart(node, index);
+      range.setEnd(node, index + 1);
+      const rect = range.getBoundingClientRect();
+      if (x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom) {
+        return index;
+      }
+    }
+    return -1;
+  }
+
+  // Highlight the hovered word without touching the page selection
+  function highlightRange(range) {
+    if (typeof CSS === 'undefined' || !CSS.highlights) return;
+    CSS.highlights.set(HOVER_HIGHLIGHT, new Highlight(range));
+  }
+
+  function clearHover() {
+    hoverState = null;
+    hoverRequest++;
+    if (typeof CSS !== 'undefined' && CSS.highlights) {
+      CSS.highlights.delete(HOVER_HIGHLIGHT);
+    }
+  }
+
+  // Look up the longest word starting at `start`, highlight it and show the popup
+  async function showHoverWord(node, start) {
+    const request = ++hoverRequest;
+    const text = node.data.slice(start, start + MAX_HEADWORD_LENGTH);
+    const result = await lookupHeadword(text);
+
+    // Pointer moved on (or popup was hidden) during async lookup
+    if (request !== hoverRequest) return;
+    if (!result) return;
+
+    const range = document.createRange();
+    range.setStart(node, start);
+    range.setEnd(node, start + result.word.length);
+
+    if (!speechPrewarmed) {
+      speechPrewarmed = true;
+      prewarmSpeech();
+    }
+
+    const context = {
+      query: result.word,
+      sentence: extractSentence(getContextText(node), result.word)
+    };
+
+    const rect = range.getBoundingClientRect();
+    renderPopup(result.entries, rect.left, rect.bottom, { chinese: true, context });
+    highlightRange(range);
+    hoverState = { node, start, length: result.word.length };
+  }
+
+  // Shift: move on to the next word after the highlighted one
+  function cycleHoverWord() {
+    const { node, start, length } = hoverState;
+    let next = start + length;
+    while (next < node.data.length && !CJK_PATTERN.test(node.data[next])) next++;
+    if (next < node.data.length) showHoverWord(node, next);
+  }
+
+  // Hover handler (runs once the pointer has rested)
+  function doHover(event) {
+    if (!settings.hoverMode || !isActiveOnPage()) return;
+    if (isPopupEvent(event)) return;
+
+    const caret = caretFromPoint(event.clientX, event.clientY);
+    const index = caret ? charIndexAtPoint(caret.node, caret.offset, event.clientX, event.clientY) : -1;
+
+    if (index === -1) {
+      if (hoverState) hidePopup();
+      return;
+    }
+
+    if (!isModifierHeld(event, settings.hoverModifier)) return;
+    if (hoverState && hoverState.node === caret.node && hoverState.start === index) return;
+
+    showHoverWord(caret.node, index);
+  }
+
+  // Debounced hover handler
+  function handleMouseMove(event) {
+    if (!settings.hoverMode) return;
+    clearTimeout(hoverTimeout);
+    hoverTimeout = setTimeout(() => doHover(event), HOVER_DELAY_MS);
+  }
+
   // Find best Chinese voice (prefer Taiwan)
   function findChineseVoice(voices) {
     const chineseVoices = voices.filter(v => v.lang.startsWith('zh'));
@@ -286,6 +1360,36 @@
   }
 
   // Handle audio button click
+  // Taiwan Mandarin utterance at the popup's speech rate
+  function createUtterance(text) {
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.lang = 'zh-TW';
+    utterance.rate = SPEECH_RATE;
+
+    if (chineseVoice) {
+      utterance.voice = chineseVoice;
+    }
+
+    return utterance;
+  }
+
+  // Play a gloss word by word, selecting each row as it is spoken
+  function playGloss() {
+    if (!('speechSynthesis' in window)) return;
+    window.speechSynthesis.cancel();
+
+    const view = popupView;
+    view.entries.forEach((entry, i) => {
+      const utterance = createUtterance(getHeadwords(entry, settings.script)[0]);
+      utterance.onstart = () => {
+        if (popupView !== view || view.expanded) return;
+        view.selected = i;
+        highlightSelectedEntry();
+      };
+      window.speechSynthesis.speak(utterance);
+    });
+  }
+
   function handleAudioClick(event) {
     event.preventDefault();
     event.stopPropagation();
@@ -297,13 +1401,7 @@
 
     window.speechSynthesis.cancel();
 
-    const utterance = new SpeechSynthesisUtterance(text);
-    utterance.lang = 'zh-TW';
-    utterance.rate = SPEECH_RATE;
-
-    if (chineseVoice) {
-      utterance.voice = chineseVoice;
-    }
+    const utterance = createUtterance(text);
 
     // Estimate duration: ~300ms per character for Chinese speech
     const estimatedMs = Math.max(text.length * 300 / SPEECH_RATE, 400);
@@ -338,15 +1436,24 @@
     window.speechSynthesis.speak(utterance);
   }
 
-  // Handle text selection (debounced)
-  async function doSelection(event) {
-    if (!settings.enabled) return;
-    if (popup && popup.contains(event.target)) return;
-
-    const selection = window.getSelection();
-    const text = selection.toString().trim();
-
-    if (!text || text.length === 0 || text.length > MAX_SELECTION_LENGTH) {
+  // Handle text selection (debounced). event is null for explicit lookups
+  // (source 'command' for the shortcut, 'contextMenu'), which also work with the
+  // auto-popup turned off; point anchors text field selections and defaults to the mouse event
+  async function doSelection(event, shadowRoot, { source = 'selection', point = event } = {}) {
+    const explicit = source !== 'selection';
+    const keyboard = source === 'command';
+    if (!explicit && !isActiveOnPage()) return;
+    if (!explicit && !shouldTrigger(event, settings.triggerMode, settings.triggerModifier)) return;
+    if (event && isPopupEvent(event)) return;
+
+    const selected = readSelection(point, shadowRoot);
+    const text = selected ? selected.text : '';
+
+    const chinese = CJK_PATTERN.test(text);
+    // A passage is glossed only when asked for: selecting a paragraph while
+    // reading should not pop up a gloss of it
+    const maxLength = !chinese && explicit ? MAX_GLOSS_SELECTION_LENGTH : MAX_SELECTION_LENGTH;
+    if (!text || text.length === 0 || text.length > maxLength) {
       hidePopup();
       return;
     }
@@ -356,7 +1463,7 @@
       return;
     }
 
-    if (/[\u4e00-\u9fff]/.test(text)) {
+    if (chinese && !settings.chineseLookup) {
       hidePopup();
       return;
     }
@@ -366,47 +1473,103 @@
       prewarmSpeech();
     }
 
-    if (selection.rangeCount === 0) return;
-
-    const range = selection.getRangeAt(0);
-    const rect = range.getBoundingClientRect();
-
-    const entries = await lookup(text);
+    const sentence = extractSentence(selected.contextText, text);
+    let entries;
+    let gloss = null;
+    let glossTruncated = false;
+    let suggestions = [];
+    if (chinese) {
+      // First reading of each segmented word
+      const segments = await lookupChinese(text, source);
+      entries = segments ? segments.map(segment => segment.entries[0]) : null;
+    } else {
+      ({ entries, gloss, glossTruncated, suggestions } = await lookup(text, sentence, source));
+    }
 
     // Guard against stale selection (user changed selection during async lookup)
-    const currentText = window.getSelection().toString().trim();
-    if (currentText !== text) return;
+    const current = readSelection(point, shadowRoot);
+    if (!current || current.text !== text) return;
 
-    renderPopup(entries, rect.left, rect.bottom);
+    const context = { query: text, sentence };
+    renderPopup(entries, selected.rect.left, selected.rect.bottom, { chinese, query: text, gloss, glossTruncated, suggestions, keyboard, context });
   }
 
-  // Debounced selection handler
+  // Selection handler, debounced by the trigger delay
   function handleSelection(event) {
+    if (!isActiveOnPage()) return;
+    // Clicks inside the popup may redraw it, so check now rather than after the debounce
+    if (isPopupEvent(event)) return;
+
+    // composedPath() is only available while the event is dispatched
+    const shadowRoot = getEventShadowRoot(event);
     clearTimeout(selectionTimeout);
-    selectionTimeout = setTimeout(() => doSelection(event), DEBOUNCE_MS);
+    selectionTimeout = setTimeout(() => doSelection(event, shadowRoot), settings.triggerDelay);
+  }
+
+  // Remember where the context menu opened, for "Look up in Mandopop"
+  function handleContextMenu(event) {
+    contextMenuTarget = {
+      point: { clientX: event.clientX, clientY: event.clientY },
+      shadowRoot: getEventShadowRoot(event)
+    };
+  }
+
+  // Explicit lookup of the current selection, sent by the service worker
+  function handleMessage(request) {
+    if (request.type !== 'lookupSelection') return;
+
+    if (request.trigger === 'contextMenu') {
+      const { point, shadowRoot } = contextMenuTarget || {};
+      doSelection(null, shadowRoot || getFocusedShadowRoot(), { source: 'contextMenu', point });
+      return;
+    }
+
+    // The shortcut is sent to every frame; only the focused one looks up
+    if (!hasOwnFocus(document)) return;
+    doSelection(null, getFocusedShadowRoot(), { source: 'command' });
+  }
+
+  // Whether focus is in this document itself. hasFocus() is also true for each
+  // parent of a focused iframe, whose active element is then the frame
+  function hasOwnFocus(doc) {
+    if (!doc.hasFocus()) return false;
+    return !/^(IFRAME|FRAME)$/.test(doc.activeElement?.tagName);
   }
 
   // Handle click outside
   function handleClickOutside(event) {
-    if (popup && !popup.contains(event.target)) {
+    if (popup && !isPopupEvent(event)) {
       hidePopup();
     }
   }
 
-  // Handle Escape key to dismiss
+  // Handle Escape key to dismiss the popup, then pinned cards newest first
   function handleKeydown(event) {
-    if (event.key === 'Escape' && popup) {
-      hidePopup();
+    if (event.key === 'Escape') {
+      if (isPopupVisible()) hidePopup();
+      else if (pinnedCards.length > 0) closeCard(pinnedCards[pinnedCards.length - 1]);
+    }
+    if (handlePopupKey(event)) {
+      event.preventDefault();
+    }
+    // One step per press: a held Shift auto-repeats
+    if (event.key === 'Shift' && !event.repeat && hoverState) {
+      cycleHoverWord();
     }
   }
 
   // Initialize
   async function init() {
-    await loadSettings();
+    await Promise.all([loadSettings(), loadPopupStyles()]);
 
     document.addEventListener('mouseup', handleSelection);
     document.addEventListener('mousedown', handleClickOutside);
     document.addEventListener('keydown', handleKeydown);
+    document.addEventListener('mousemove', handleMouseMove, { passive: true });
+    document.addEventListener('contextmenu', handleContextMenu);
+    chrome.runtime.onMessage.addListener(handleMessage);
+    darkScheme.addEventListener('change', applyTheme);
+    reportSiteStatus();
 
     console.log('[Mandopop] Initialized');
   }
@@ -0,0 +1,137 @@
+/**
+ * Mandopop History Page
+ * Most looked-up words, a lookup timeline, and promotion to the word list
+ */
+
+import { topWords, groupByDay, DEFAULT_RETENTION_DAYS } from './lib/history.js';
+
+const TOP_WORDS_LIMIT = 30;
+const TIMELINE_LIMIT = 500;
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const retentionSelect = document.getElementById('retention');
+  const clearButton = document.getElementById('clearHistory');
+  const topWordsList = document.getElementById('topWords');
+  const timeline = document.getElementById('timeline');
+
+  const settings = await chrome.storage.sync.get(['historyRetention', 'script']);
+  retentionSelect.value = String(settings.historyRetention ?? DEFAULT_RETENTION_DAYS);
+  const script = settings.script || 'traditional';
+
+  let savedIds = new Set();
+
+  function headword(entry) {
+    if (script === 'simplified') return entry.s;
+    if (script === 'both' && entry.s !== entry.t) return `${entry.t} ${entry.s}`;
+    return entry.t;
+  }
+
+  function span(className, text) {
+    const el = document.createElement('span');
+    el.className = className;
+    el.textContent = text;
+    return el;
+  }
+
+  function empty(text) {
+    const el = document.createElement('div');
+    el.className = 'empty';
+    el.textContent = text;
+    return el;
+  }
+
+  // Star button: promote the entry to the word list
+  function promoteButton(entryId, entry, query) {
+    const btn = document.createElement('button');
+    const setSaved = () => {
+      btn.textContent = '★ Saved';
+      btn.disabled = true;
+    };
+
+    btn.textContent = '☆ Save';
+    btn.title = 'Add to word list';
+    if (savedIds.has(entryId)) setSaved();
+
+    btn.addEventListener('click', async () => {
+      const response = await chrome.runtime.sendMessage({ type: 'saveWord', entry, context: { query } });
+      if (response?.result) {
+        savedIds.add(entryId);
+        setSaved();
+      }
+    });
+
+    return btn;
+  }
+
+  function wordRow(leading, entry, meta, action) {
+    const row = document.createElement('div');
+    row.className = 'row';
+    row.append(leading, span('chinese', headword(entry)), span('pinyin', entry.p), span('meta', meta), action);
+    return row;
+  }
+
+  function formatTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  }
+
+  function render(records) {
+    topWordsList.replaceChildren();
+    timeline.replaceChildren();
+
+    if (records.length === 0) {
+      topWordsList.appendChild(empty('No lookups yet.'));
+      timeline.appendChild(empty('No lookups yet.'));
+      return;
+    }
+
+    for (const word of topWords(records, TOP_WORDS_LIMIT)) {
+      const meta = `${word.queries.join(', ')} · ${word.entry.d.slice(0, 2).join('; ')}`;
+      topWordsList.appendChild(wordRow(
+        span('count', `${word.count}×`),
+        word.entry,
+        meta,
+        promoteButton(word.entryId, word.entry, word.queries[0])
+      ));
+    }
+
+    for (const { day, records: dayRecords } of groupByDay(records.slice(0, TIMELINE_LIMIT))) {
+      const heading = document.createElement('h3');
+      heading.textContent = day;
+      timeline.appendChild(heading);
+
+      for (const record of dayRecords) {
+        const meta = [record.query, record.hostname].filter(Boolean).join(' · ');
+        timeline.appendChild(wordRow(
+          span('time', formatTime(record.timestamp)),
+          record.entry,
+          meta,
+          promoteButton(record.entryId, record.entry, record.query)
+        ));
+      }
+    }
+  }
+
+  async function load() {
+    const response = await chrome.runtime.sendMessage({ type: 'getHistory' });
+    const records = response?.result || [];
+
+    const ids = [...new Set(records.map(r => r.entryId))];
+    const saved = await chrome.runtime.sendMessage({ type: 'getSavedIds', ids });
+    savedIds = new Set(saved?.result || []);
+
+    render(records);
+  }
+
+  retentionSelect.addEventListener('change', async () => {
+    await chrome.storage.sync.set({ historyRetention: parseInt(retentionSelect.value, 10) });
+    await load();
+  });
+
+  clearButton.addEventListener('click', async () => {
+    if (!confirm('Clear all lookup history?')) return;
+    await chrome.runtime.sendMessage({ type: 'clearHistory' });
+    await load();
+  });
+
+  await load();
+});
@@ -0,0 +1,100 @@
+/**
+ * Chinese → English lookup - headword index access and word segmentation
+ * The headword index is built by scripts/preprocess_cedict.cjs
+ */
+
+// Longest headword tried when segmenting (covers chengyu and most set phrases)
+export const MAX_HEADWORD_LENGTH = 12;
+
+/**
+ * Get dictionary entries for a Chinese headword
+ * Simplified headwords map to entry arrays; Traditional headwords that differ
+ * from their Simplified form are stored as a string alias to the Simplified key
+ *
+ * @param {Object} index - Headword index keyed by Chinese words
+ * @param {string} word - Traditional or Simplified headword
+ * @returns {Array|null} - Entries for that headword, or null if not found
+ */
+export function getHeadwordEntries(index, word) {
+  if (!index || !Object.prototype.hasOwnProperty.call(index, word)) return null;
+
+  const value = index[word];
+  if (Array.isArray(value)) return value;
+
+  // Alias: only keep entries whose Traditional form is the selected word
+  const entries = (index[value] || []).filter(e => e.t === word);
+  return entries.length > 0 ? entries : null;
+}
+
+/**
+ * Find the longest headword starting at a position in the text
+ * @param {string} text - Chinese text
+ * @param {number} start - Index to start matching from
+ * @param {Object} index - Headword index
+ * @returns {string|null} - Longest matching headword, or null if none
+ */
+export function longestHeadwordAt(text, start, index) {
+  const maxEnd = Math.min(text.length, start + MAX_HEADWORD_LENGTH);
+
+  for (let end = maxEnd; end > start; end--) {
+    const candidate = text.slice(start, end);
+    if (getHeadwordEntries(index, candidate)) return candidate;
+  }
+
+  return null;
+}
+
+/**
+ * Segment Chinese text into dictionary words by forward maximum match
+ * Characters that start no headword (punctuation, Latin, unknown) are skipped
+ *
+ * @param {string} text - Chinese text
+ * @param {Object} index - Headword index
+ * @returns {string[]} - Headwords in reading order
+ */
+export function segment(text, index) {
+  const words = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const word = longestHeadwordAt(text, i, index);
+    if (word) {
+      words.push(word);
+      i += word.length;
+    } else {
+      i++;
+    }
+  }
+
+  return words;
+}
+
+/**
+ * Lookup a run of Chinese text, one result per segmented word
+ * @param {string} text - The selected Chinese text
+ * @param {Object} index - Headword index
+ * @returns {Array<{word: string, entries: Array}>|null} - Segments, or null if nothing matched
+ */
+export function lookupChinese(text, index) {
+  if (!index || !text) return null;
+
+  const segments = segment(text.trim(), index).map(word => ({
+    word,
+    entries: getHeadwordEntries(index, word)
+  }));
+
+  return segments.length > 0 ? segments : null;
+}
+
+/**
+ * Lookup the longest headword at the start of the text (hover mode)
+ * @param {string} text - Chinese text beginning at the hovered character
+ * @param {Object} index - Headword index
+ * @returns {{word: string, entries: Array}|null} - Matched word, or null if none
+ */
+export function lookupHeadword(text, index) {
+  if (!index || !text) return null;
+
+  const word = longestHeadwordAt(text, 0, index);
+  return word ? { word, entries: getHeadwordEntries(index, word) } : null;
+}
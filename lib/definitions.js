@@ -0,0 +1,66 @@
+/**
+ * CEDICT definition parsing - measure words, variants and cross-references
+ * Used by scripts/preprocess_cedict.cjs to split structured definitions out of entries
+ */
+
+import { numberedToToneMarks } from './pinyin.js';
+
+// Reference to another headword: "個|个[ge4]" (Traditional|Simplified[pinyin]),
+// "个[ge4]" (same in both scripts) or without pinyin
+const REFERENCE_PATTERN = /([\u3400-\u9fff][^\s,;[\]|]*)(?:\|([^\s,;[\]|]+))?(?:\[([^\]]+)\])?/g;
+
+/**
+ * Parse a definition made only of headword references
+ *
+ * @param {string} text - e.g. "個|个[ge4],隻|只[zhi1]" or "X[...] and Y[...]"
+ * @returns {Array<{t: string, s: string, p?: string}>|null} - References, or null
+ *   when the text holds anything besides references
+ */
+export function parseReferences(text) {
+  const refs = [];
+  for (const [, traditional, simplified, pinyin] of text.matchAll(REFERENCE_PATTERN)) {
+    const ref = { t: traditional, s: simplified || traditional };
+    if (pinyin) ref.p = numberedToToneMarks(pinyin);
+    refs.push(ref);
+  }
+
+  // Only whole definitions made of references ("X[...], Y[...]" or "X[...] and Y[...]")
+  const rest = text.replace(REFERENCE_PATTERN, '').replace(/,|\band\b/g, '').trim();
+  return refs.length > 0 && !rest ? refs : null;
+}
+
+/**
+ * Split structured definitions out of the plain ones:
+ *   "CL:個|个[ge4],張|张[zhang1]"   → c: classifiers
+ *   "(old) variant of 裡|里[li3]"   → v: variant-of references, labelled
+ *   "see also 某某[...]"            → x: see-also references
+ *
+ * @param {string[]} definitions - Definitions of one CEDICT line
+ * @returns {{d: string[], c?: Array, v?: Array, x?: Array}}
+ */
+export function parseDefinitions(definitions) {
+  const parsed = { d: [] };
+
+  for (const def of definitions) {
+    const classifiers = def.match(/^CL:(.+)$/);
+    const variant = def.match(/^((?:\([^)]*\) )?(?:[a-z]+ )?variant of) (.+)$/i);
+    const seeAlso = def.match(/^see (?:also )?(.+)$/);
+
+    const refs = classifiers ? parseReferences(classifiers[1])
+      : variant ? parseReferences(variant[2])
+        : seeAlso ? parseReferences(seeAlso[1])
+          : null;
+
+    if (!refs) {
+      parsed.d.push(def);
+    } else if (classifiers) {
+      parsed.c = [...(parsed.c || []), ...refs];
+    } else if (variant) {
+      parsed.v = [...(parsed.v || []), ...refs.map(ref => ({ ...ref, l: variant[1] }))];
+    } else {
+      parsed.x = [...(parsed.x || []), ...refs];
+    }
+  }
+
+  return parsed;
+}
@@ -0,0 +1,296 @@
+/**
+ * Word list export/import - Anki TSV, Pleco flashcards and plain CSV
+ * Pure text conversion; background.js resolves imports against the dictionary
+ */
+
+import { numberedToToneMarks } from './pinyin.js';
+
+export const FORMATS = {
+  anki: { extension: 'txt', mimeType: 'text/tab-separated-values' },
+  pleco: { extension: 'txt', mimeType: 'text/plain' },
+  csv: { extension: 'csv', mimeType: 'text/csv' }
+};
+
+const CSV_COLUMNS = ['traditional', 'simplified', 'pinyin', 'definitions', 'sentence', 'query', 'url', 'title', 'created'];
+
+const TONE_MARKS = { '\u0304': '1', '\u0301': '2', '\u030c': '3', '\u0300': '4' };
+
+// Tabs and newlines would break a TSV row
+function cleanField(value) {
+  return String(value ?? '').replace(/[\t\r\n]+/g, ' ').trim();
+}
+
+function csvField(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function hostnameTag(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Headword for export: one script, or "first[second]" when both differ
+ * @param {Object} entry - Entry with t and s
+ * @param {string} script - 'traditional' | 'simplified' | 'both'
+ * @param {boolean} simplifiedFirst - Pleco lists simplified before the bracket
+ * @returns {string}
+ */
+export function formatHanzi(entry, script, simplifiedFirst = false) {
+  if (script === 'simplified') return entry.s;
+  if (script === 'both' && entry.s !== entry.t) {
+    return simplifiedFirst ? `${entry.s}[${entry.t}]` : `${entry.t}[${entry.s}]`;
+  }
+  return entry.t;
+}
+
+/**
+ * Split "first[second]" back into Traditional and Simplified
+ * @param {string} text - Headword field
+ * @param {boolean} simplifiedFirst - Whether the form outside the bracket is simplified
+ * @returns {{t: string, s: string}}
+ */
+export function parseHanzi(text, simplifiedFirst = false) {
+  const match = text.trim().match(/^([^[\]]+)\[([^[\]]+)\]$/);
+  if (!match) return { t: text.trim(), s: text.trim() };
+
+  const [, outside, inside] = match;
+  return simplifiedFirst ? { t: inside, s: outside } : { t: outside, s: inside };
+}
+
+/**
+ * Comparable pinyin key: letters plus tone sequence, for marked or numbered input
+ * ("yín háng", "yin2 hang2" and "yin2hang2" all give "yinhang|22")
+ * @param {string} pinyin
+ * @returns {string}
+ */
+export function pinyinKey(pinyin) {
+  let letters = '';
+  let tones = '';
+
+  for (const char of pinyin.normalize('NFD').toLowerCase()) {
+    if (TONE_MARKS[char]) tones += TONE_MARKS[char];
+    else if (/[1-4]/.test(char)) tones += char;
+    else if (/[a-z]/.test(char)) letters += char === 'v' ? 'u' : char;
+  }
+
+  return `${letters}|${tones}`;
+}
+
+/**
+ * Normalize imported pinyin to tone marks ("yin2hang2" -> "yín háng")
+ * @param {string} pinyin
+ * @returns {string}
+ */
+export function toToneMarks(pinyin) {
+  const trimmed = pinyin.trim();
+  if (!/[1-5]/.test(trimmed)) return trimmed;
+  return numberedToToneMarks(trimmed.replace(/([1-5])(?=[a-zü])/gi, '$1 ').replace(/\s+/g, ' '));
+}
+
+/**
+ * Export records as Anki-importable TSV
+ * Columns: Chinese, pinyin, definitions, source sentence, tags
+ * @param {Array} records - Word list records
+ * @param {string} script - Display script setting
+ * @returns {string}
+ */
+export function toAnki(records, script = 'traditional') {
+  const lines = ['#separator:tab', '#html:false', '#tags column:5'];
+
+  for (const record of records) {
+    const { entry } = record;
+    const tags = ['mandopop', hostnameTag(record.url)].filter(Boolean).join(' ');
+    lines.push([
+      formatHanzi(entry, script),
+      entry.p,
+      entry.d.join('; '),
+      record.sentence,
+      tags
+    ].map(cleanField).join('\t'));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Export records as a Pleco flashcard text file (hanzi, pinyin, definition)
+ * @param {Array} records - Word list records
+ * @returns {string}
+ */
+export function toPleco(records) {
+  return records
+    .map(({ entry }) => [formatHanzi(entry, 'both', true), entry.p, entry.d.join('; ')].map(cleanField).join('\t'))
+    .join('\n') + '\n';
+}
+
+/**
+ * Export records as CSV with a header row
+ * @param {Array} records - Word list records
+ * @returns {string}
+ */
+export function toCSV(records) {
+  const rows = [CSV_COLUMNS.join(',')];
+
+  for (const record of records) {
+    const { entry } = record;
+    rows.push([
+      entry.t,
+      entry.s,
+      entry.p,
+      entry.d.join('; '),
+      record.sentence,
+      record.query,
+      record.url,
+      record.title,
+      record.createdAt ? new Date(record.createdAt).toISOString() : ''
+    ].map(csvField).join(','));
+  }
+
+  return rows.join('\r\n') + '\r\n';
+}
+
+/**
+ * Split CSV text into rows of fields (RFC 4180 quoting)
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCSVRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(f => f.trim()));
+}
+
+function splitDefinitions(text) {
+  return (text || '').split(/\s*[;/]\s*/).map(d => d.trim()).filter(Boolean);
+}
+
+/**
+ * Parse an Anki TSV export (ours or any note type with Chinese, pinyin, meaning first)
+ * @param {string} text
+ * @returns {Array<{t, s, p, d, sentence}>} - Import items
+ */
+export function parseAnki(text) {
+  return text.split(/\r?\n/)
+    .filter(line => line.trim() && !line.startsWith('#'))
+    .map(line => line.split('\t'))
+    .filter(fields => fields.length >= 2 && fields[0].trim())
+    .map(([hanzi, pinyin, definitions, sentence]) => ({
+      ...parseHanzi(hanzi),
+      p: toToneMarks(pinyin || ''),
+      d: splitDefinitions(definitions),
+      sentence: (sentence || '').trim()
+    }));
+}
+
+/**
+ * Parse a Pleco flashcard export (category lines start with "//")
+ * @param {string} text
+ * @returns {Array<{t, s, p, d, sentence}>} - Import items
+ */
+export function parsePleco(text) {
+  return text.split(/\r?\n/)
+    .filter(line => line.trim() && !line.startsWith('//'))
+    .map(line => line.split('\t'))
+    .filter(fields => fields[0].trim())
+    .map(([hanzi, pinyin, definitions]) => ({
+      ...parseHanzi(hanzi, true),
+      p: toToneMarks(pinyin || ''),
+      d: splitDefinitions(definitions),
+      sentence: ''
+    }));
+}
+
+/**
+ * Parse our CSV export (header row names the columns)
+ * @param {string} text
+ * @returns {Array<{t, s, p, d, sentence, query, url, title}>} - Import items
+ */
+export function parseCSV(text) {
+  const [header, ...rows] = parseCSVRows(text);
+  if (!header) return [];
+
+  const columns = header.map(name => name.trim().toLowerCase());
+  const column = (row, name) => (row[columns.indexOf(name)] || '').trim();
+
+  return rows
+    .map(row => ({
+      t: column(row, 'traditional') || column(row, 'simplified'),
+      s: column(row, 'simplified') || column(row, 'traditional'),
+      p: toToneMarks(column(row, 'pinyin')),
+      d: splitDefinitions(column(row, 'definitions')),
+      sentence: column(row, 'sentence'),
+      query: column(row, 'query'),
+      url: column(row, 'url'),
+      title: column(row, 'title')
+    }))
+    .filter(item => item.t);
+}
+
+/**
+ * Export records in the given format
+ * @param {Array} records - Word list records
+ * @param {string} format - 'anki' | 'pleco' | 'csv'
+ * @param {string} script - Display script setting (Anki only)
+ * @returns {string}
+ */
+export function exportWords(records, format, script) {
+  if (format === 'anki') return toAnki(records, script);
+  if (format === 'pleco') return toPleco(records);
+  if (format === 'csv') return toCSV(records);
+  throw new Error(`Unknown export format: ${format}`);
+}
+
+/**
+ * Parse an import file in the given format
+ * @param {string} text - File contents
+ * @param {string} format - 'anki' | 'pleco' | 'csv'
+ * @returns {Array} - Import items ({ t, s, p, d, ...context })
+ */
+export function parseImport(text, format) {
+  const content = text.replace(/^\uFEFF/, '');
+  if (format === 'anki') return parseAnki(content);
+  if (format === 'pleco') return parsePleco(content);
+  if (format === 'csv') return parseCSV(content);
+  throw new Error(`Unknown import format: ${format}`);
+}
@@ -0,0 +1,134 @@
+/**
+ * Entry ranking - word frequency bands and how central an English key is to a definition
+ * Used by scripts/preprocess_cedict.cjs to rank each key's entries and set their band (f)
+ */
+
+// Rank cutoffs for frequency bands 1-4; anything rarer (or unlisted) is band 5
+export const FREQUENCY_BANDS = [1000, 5000, 20000, 50000];
+export const RARE_BAND = FREQUENCY_BANDS.length + 1;
+
+// Fallback ranking when no frequency list is given
+const COMMON_WORDS = new Set([
+  '的', '是', '不', '了', '在', '有', '人', '这', '我', '他',
+  '你好', '谢谢', '再见', '对不起', '没关系', '请', '好', '是的', '不是',
+  '银行', '电脑', '手机', '汽车', '飞机', '火车', '地铁', '公共汽车',
+  '学校', '医院', '餐厅', '商店', '超市', '机场', '车站',
+  '吃', '喝', '看', '听', '说', '读', '写', '走', '跑', '来', '去',
+  '大', '小', '多', '少', '高', '低', '长', '短', '新', '旧',
+  '钱', '时间', '工作', '学习', '朋友', '家', '书', '水', '茶', '咖啡'
+]);
+
+/**
+ * Parse a word-frequency list into word → rank (1 = most frequent)
+ * Lines are "word count ..." (SUBTLEX-CH-WF and similar) or just "word" in rank order;
+ * header and comment lines without Chinese in the first field are skipped
+ *
+ * @param {string} text - Contents of the list
+ * @returns {Map<string, number>}
+ */
+export function parseFrequencyRanks(text) {
+  const rows = [];
+
+  for (const line of text.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+    const [word, ...rest] = line.trim().split(/\s+/);
+    if (!word || !/[\u3400-\u9fff]/.test(word)) continue;
+
+    const count = rest.map(Number).find(n => Number.isFinite(n));
+    rows.push({ word, count, order: rows.length });
+  }
+
+  if (rows.some(row => row.count !== undefined)) {
+    rows.sort((a, b) => (b.count ?? -1) - (a.count ?? -1) || a.order - b.order);
+  }
+
+  const ranks = new Map();
+  rows.forEach((row, i) => {
+    if (!ranks.has(row.word)) ranks.set(row.word, i + 1);
+  });
+  return ranks;
+}
+
+/**
+ * Frequency rank of the better-ranked script form
+ * @param {Object} entry - Entry ({ t, s })
+ * @param {Map<string, number>} ranks - Output of parseFrequencyRanks
+ * @returns {number} - Rank, Infinity when unlisted
+ */
+export function frequencyRank(entry, ranks) {
+  return Math.min(ranks.get(entry.s) ?? Infinity, ranks.get(entry.t) ?? Infinity);
+}
+
+/**
+ * Frequency band of a rank
+ * @param {number} rank
+ * @returns {number} - 1 = most common ... RARE_BAND = rare or unlisted
+ */
+export function frequencyBand(rank) {
+  const band = FREQUENCY_BANDS.findIndex(cutoff => rank <= cutoff);
+  return band === -1 ? RARE_BAND : band + 1;
+}
+
+// Definition text reduced to its core ("to eat (sth)" → "eat")
+function coreDefinition(definition) {
+  return definition
+    .replace(/\([^)]*\)/g, ' ')
+    .replace(/\[[^\]]*\]/g, ' ')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^(to|a|an|the) /, '');
+}
+
+/**
+ * How central an English key is to an entry
+ * @param {Object} entry - Entry ({ d })
+ * @param {string} key - English key
+ * @returns {number} - 0 = a whole definition, 1 = part of the first definition,
+ *   2 = only in a later definition
+ */
+export function keyCentrality(entry, key) {
+  const cores = entry.d.map(coreDefinition);
+  if (cores.includes(key)) return 0;
+  if (` ${cores[0].replace(/[^-'a-z]+/g, ' ')} `.includes(` ${key} `)) return 1;
+  return 2;
+}
+
+/**
+ * Band an entry ranks in: its frequency band, or a guess from the common words
+ * @param {Object} entry - Entry ({ s, f })
+ * @returns {number}
+ */
+export function relevanceBand(entry) {
+  return entry.f ?? (COMMON_WORDS.has(entry.s) ? 1 : 3);
+}
+
+/**
+ * Sort a key's entries by relevance: frequency band plus how central the key is to
+ * the definition, so an everyday word used in its main sense comes first; then
+ * frequency rank, two-character words, and shorter definitions
+ * @param {Array} entries - Entries indexed under the key
+ * @param {string} key - English key
+ * @param {Map<string, number>|null} ranks - Output of parseFrequencyRanks, if any
+ * @returns {Array} - New, sorted array
+ */
+export function rankEntries(entries, key, ranks) {
+  const score = new Map(entries.map(e => [e, relevanceBand(e) + keyCentrality(e, key)]));
+  const rank = new Map(entries.map(e => [e, ranks ? frequencyRank(e, ranks) : Infinity]));
+
+  return [...entries].sort((a, b) => {
+    if (score.get(a) !== score.get(b)) return score.get(a) - score.get(b);
+
+    // Within a band, the more frequent word first
+    if (rank.get(a) !== rank.get(b)) return rank.get(a) - rank.get(b);
+
+    // Prefer 2-character words (most common in Chinese)
+    const aLen = a.s.length === 2 ? 0 : a.s.length === 1 ? 1 : 2;
+    const bLen = b.s.length === 2 ? 0 : b.s.length === 1 ? 1 : 2;
+    if (aLen !== bLen) return aLen - bLen;
+
+    // Shorter definitions often mean primary meaning
+    const aDefLen = a.d.reduce((sum, d) => sum + d.length, 0);
+    const bDefLen = b.d.reduce((sum, d) => sum + d.length, 0);
+    return aDefLen - bDefLen;
+  });
+}
@@ -0,0 +1,201 @@
+/**
+ * "Did you mean" suggestions for English lookups that found nothing
+ *
+ * Two sources, in order: spelling variants (British/American pairs, hyphen and
+ * space variants) that background.js checks against the dictionary, then keys
+ * within a small edit distance. For the latter scripts/preprocess_cedict.cjs
+ * writes cedict_fuzzy.pack: the single-word English keys, one shard per key
+ * length, each with a trigram index so only keys sharing enough trigrams with
+ * the query are compared.
+ */
+
+export const MAX_EDIT_DISTANCE = 2;
+export const MAX_SUGGESTIONS = 5;
+
+// [British, American] spelling fragments, swapped one occurrence at a time
+const SPELLING_PAIRS = [
+  ['our', 'or'],     // colour, color
+  ['ise', 'ize'],    // realise, realize
+  ['yse', 'yze'],    // analyse, analyze
+  ['tre', 'ter'],    // centre, center
+  ['ogue', 'og'],    // catalogue, catalog
+  ['ence', 'ense'],  // defence, defense
+  ['lled', 'led'],   // travelled, traveled
+  ['lling', 'ling'], // travelling, traveling
+  ['ae', 'e'],       // anaemia, anemia
+  ['oe', 'e'],       // oestrogen, estrogen
+  ['mme', 'm']       // programme, program
+];
+
+// Replace each occurrence of `from` in turn
+function replaceEach(word, from, to) {
+  const results = [];
+  let index = word.indexOf(from);
+  while (index !== -1) {
+    results.push(word.slice(0, index) + to + word.slice(index + from.length));
+    index = word.indexOf(from, index + 1);
+  }
+  return results;
+}
+
+/**
+ * Other spellings of a word or phrase: British/American pairs, and the same
+ * words joined, hyphenated or spaced ("e-mail", "email", "e mail")
+ * @param {string} text - Looked-up text
+ * @returns {string[]} - Distinct variants, not including the text itself
+ */
+export function spellingVariants(text) {
+  const cleaned = text.toLowerCase().trim().replace(/\s+/g, ' ');
+  const variants = new Set();
+
+  for (const [british, american] of SPELLING_PAIRS) {
+    for (const variant of replaceEach(cleaned, british, american)) variants.add(variant);
+    for (const variant of replaceEach(cleaned, american, british)) variants.add(variant);
+  }
+
+  if (/[- ]/.test(cleaned)) {
+    variants.add(cleaned.replace(/[- ]/g, ''));
+    variants.add(cleaned.replace(/-/g, ' '));
+    variants.add(cleaned.replace(/ /g, '-'));
+  } else if (/^[a-z]+$/.test(cleaned)) {
+    for (let i = 1; i < cleaned.length; i++) {
+      variants.add(`${cleaned.slice(0, i)} ${cleaned.slice(i)}`);
+      variants.add(`${cleaned.slice(0, i)}-${cleaned.slice(i)}`);
+    }
+  }
+
+  variants.delete(cleaned);
+  return [...variants];
+}
+
+/**
+ * Distinct trigrams of a word, padded so its start and end count
+ * NOTE: Keep in sync with scripts/preprocess_cedict.cjs trigrams
+ *
+ * @param {string} word
+ * @returns {string[]}
+ */
+export function trigrams(word) {
+  const padded = `$$${word}$$`;
+  const grams = new Set();
+  for (let i = 0; i + 3 <= padded.length; i++) {
+    grams.add(padded.slice(i, i + 3));
+  }
+  return [...grams];
+}
+
+/**
+ * Shard of the fuzzy index holding keys of a length
+ * NOTE: Keep in sync with scripts/preprocess_cedict.cjs fuzzyShard
+ *
+ * @param {number} length - Key length
+ * @returns {string}
+ */
+export function fuzzyShard(length) {
+  return String(length);
+}
+
+/**
+ * Fuzzy index shards a word's matches can be in (keys up to MAX_EDIT_DISTANCE longer or shorter)
+ * @param {string} word
+ * @returns {string[]}
+ */
+export function fuzzyShardsFor(word) {
+  const shards = [];
+  for (let length = Math.max(1, word.length - MAX_EDIT_DISTANCE); length <= word.length + MAX_EDIT_DISTANCE; length++) {
+    shards.push(fuzzyShard(length));
+  }
+  return shards;
+}
+
+/**
+ * Edit distance with adjacent transpositions counted as one edit
+ * (optimal string alignment), giving up once it exceeds `max`
+ * @param {string} a
+ * @param {string} b
+ * @param {number} [max]
+ * @returns {number} - Distance, or max + 1 when greater than max
+ */
+export function editDistance(a, b, max = MAX_EDIT_DISTANCE) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (beforePrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, beforePrevious[j - 2] + 1);
+      }
+      current.push(distance);
+      rowMin = Math.min(rowMin, distance);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+
+  return Math.min(previous[b.length], max + 1);
+}
+
+/**
+ * Dictionary keys within MAX_EDIT_DISTANCE of a word
+ * Keys are compared only when they share enough trigrams: a substitution,
+ * insertion or deletion changes at most three of the query's trigrams and an
+ * adjacent transposition four, so a match keeps all but 4 × distance.
+ * Ranked by distance, then the key's frequency band, then length difference
+ *
+ * @param {string} word - Lowercase word
+ * @param {Function} shardFor - (shard id) => { words, bands, grams } or undefined
+ * @param {number} [limit]
+ * @returns {string[]}
+ */
+export function fuzzySearch(word, shardFor, limit = MAX_SUGGESTIONS) {
+  const queryGrams = trigrams(word);
+  const minShared = queryGrams.length - 4 * MAX_EDIT_DISTANCE;
+  const matches = [];
+
+  for (const id of fuzzyShardsFor(word)) {
+    const shard = shardFor(id);
+    if (!shard) continue;
+
+    let candidates;
+    if (minShared <= 0) {
+      candidates = shard.words.keys();
+    } else {
+      const shared = new Uint8Array(shard.words.length);
+      for (const gram of queryGrams) {
+        for (const index of shard.grams[gram] || []) shared[index]++;
+      }
+      candidates = [];
+      shared.forEach((count, index) => {
+        if (count >= minShared) candidates.push(index);
+      });
+    }
+
+    for (const index of candidates) {
+      const key = shard.words[index];
+      if (key === word) continue;
+      const distance = editDistance(word, key);
+      if (distance <= MAX_EDIT_DISTANCE) {
+        matches.push({ key, distance, band: shard.bands[index], lengthDiff: Math.abs(key.length - word.length) });
+      }
+    }
+  }
+
+  matches.sort((a, b) => a.distance - b.distance || a.band - b.band || a.lengthDiff - b.lengthDiff || a.key.localeCompare(b.key));
+  return matches.slice(0, limit).map(match => match.key);
+}
+
+/**
+ * Whether a lookup can be fuzzy-matched (one word, letters and hyphens)
+ * @param {string} text
+ * @returns {string|null} - The lowercase word, or null
+ */
+export function fuzzyQuery(text) {
+  const word = text.toLowerCase().trim().replace(/^['"]+|[.,!?;:"']+$/g, '');
+  return /^[a-z][-'a-z]*$/.test(word) ? word : null;
+}
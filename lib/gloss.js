@@ -0,0 +1,77 @@
+/**
+ * Word-by-word gloss of an English sentence that is not itself a dictionary key
+ * ("I want to buy a train ticket" → want 要, buy 買, train ticket 火車票)
+ */
+
+import { lookup } from './normalize.js';
+import { englishCandidates } from './shards.js';
+
+export const MAX_PHRASE_WORDS = 3; // Longest phrase keys the preprocessor indexes
+export const MAX_GLOSS_WORDS = 40; // A longer selection is glossed up to here (NOTE: Keep in sync with content.js)
+
+// Skipped when no phrase starts with them: no Chinese word of their own
+const GLOSS_STOP_WORDS = new Set([
+  'a', 'an', 'the', 'to', 'of', 'am', 'is', 'are', 'was', 'were', 'be', 'been', 'being'
+]);
+
+/**
+ * Words of a selection, in order (letters, hyphens, apostrophes)
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function glossWords(text) {
+  return text.match(/[A-Za-z][-'A-Za-z]*/g) || [];
+}
+
+/**
+ * Dictionary keys a gloss may look up: every form of every run of up to MAX_PHRASE_WORDS words
+ * @param {string[]} words - Output of glossWords
+ * @returns {string[]}
+ */
+export function glossKeys(words) {
+  const keys = new Set();
+  for (let start = 0; start < words.length; start++) {
+    for (let length = 1; length <= MAX_PHRASE_WORDS && start + length <= words.length; length++) {
+      for (const key of englishCandidates(words.slice(start, start + length).join(' '))) keys.add(key);
+    }
+  }
+  return [...keys];
+}
+
+/**
+ * Gloss words left to right, taking the longest phrase with an entry at each
+ * position, then the single word; lone stop words are skipped
+ * @param {string[]} words - Output of glossWords
+ * @param {Object} dictionary - Dictionary (or slice) keyed by English words
+ * @param {Object} [level] - Passed to lookup for level ranking
+ * @returns {Array|null} - [{ text, entry }] in order, entry null for words without one;
+ *   null when no word has an entry
+ */
+export function glossPhrase(words, dictionary, level) {
+  const chunks = [];
+  let start = 0;
+
+  while (start < words.length) {
+    let chunk = null;
+    for (let length = Math.min(MAX_PHRASE_WORDS, words.length - start); length >= 1; length--) {
+      const text = words.slice(start, start + length).join(' ');
+      if (length === 1 && GLOSS_STOP_WORDS.has(text.toLowerCase())) break;
+
+      const result = lookup(text, dictionary, level);
+      if (result) {
+        chunk = { text, entry: result[0], length };
+        break;
+      }
+    }
+
+    if (chunk) {
+      chunks.push({ text: chunk.text, entry: chunk.entry });
+      start += chunk.length;
+    } else {
+      if (!GLOSS_STOP_WORDS.has(words[start].toLowerCase())) chunks.push({ text: words[start], entry: null });
+      start++;
+    }
+  }
+
+  return chunks.some(chunk => chunk.entry) ? chunks : null;
+}
@@ -0,0 +1,136 @@
+/**
+ * Lookup history - record shape, retention and aggregation for the history page
+ * Stored by background.js in the IndexedDB `history` store
+ */
+
+import { wordId, stripLookupFields } from './wordlist.js';
+
+export const RETENTION_OPTIONS = [7, 30, 90, 365, 0]; // days, 0 = keep forever
+export const DEFAULT_RETENTION_DAYS = 90;
+export const MAX_HISTORY_ENTRIES = 10000;
+export const REPEAT_LOOKUP_WINDOW_MS = 60 * 1000;
+
+// Lookups the user asked for: the context menu, the keyboard shortcut, and
+// searches from inside the popup (suggestions, cross-references). Selections
+// and hover pop up while reading, so they are not recorded
+export const RECORDED_SOURCES = ['contextMenu', 'command', 'popup'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Hostname of a page URL (empty for extension pages and invalid URLs)
+ * @param {string} url
+ * @returns {string}
+ */
+export function getHostname(url) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:' ? hostname : '';
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Build a history record for a successful lookup
+ * @param {string} query - Selected text
+ * @param {Object} entry - Top entry shown for it
+ * @param {string} url - Page the lookup happened on
+ * @param {number} now - Timestamp in ms
+ * @returns {Object} - { query, entryId, entry, timestamp, hostname }
+ */
+export function createHistoryRecord(query, entry, url, now = Date.now()) {
+  return {
+    query: query.trim(),
+    entryId: wordId(entry),
+    entry: stripLookupFields(entry),
+    timestamp: now,
+    hostname: getHostname(url)
+  };
+}
+
+/**
+ * Whether a lookup from a source goes into the history
+ * @param {string} source - What started the lookup (content.js)
+ * @returns {boolean}
+ */
+export function isRecordedSource(source) {
+  return RECORDED_SOURCES.includes(source);
+}
+
+/**
+ * Whether a lookup repeats the last recorded one: the same word on the same
+ * page within REPEAT_LOOKUP_WINDOW_MS (a selection adjusted and looked up again)
+ * @param {Object|null} previous - { entryId, url, timestamp } of the last recorded lookup
+ * @param {Object} current - { entryId, url, timestamp } of this lookup
+ * @returns {boolean}
+ */
+export function isRepeatLookup(previous, current) {
+  return Boolean(previous) &&
+    previous.entryId === current.entryId &&
+    previous.url === current.url &&
+    current.timestamp - previous.timestamp < REPEAT_LOOKUP_WINDOW_MS;
+}
+
+/**
+ * Oldest timestamp kept under a retention setting
+ * @param {number} days - Retention in days (0 = forever)
+ * @param {number} now - Timestamp in ms
+ * @returns {number|null} - Cutoff timestamp, or null to keep everything
+ */
+export function retentionCutoff(days, now = Date.now()) {
+  return days > 0 ? now - days * DAY_MS : null;
+}
+
+/**
+ * Most looked-up entries, with their count, queries and last lookup
+ * @param {Array} records - History records
+ * @param {number} limit - Maximum number of words
+ * @returns {Array<{entryId, entry, count, queries, lastTimestamp, hostname}>}
+ */
+export function topWords(records, limit = 20) {
+  const byEntry = new Map();
+
+  for (const record of records) {
+    let word = byEntry.get(record.entryId);
+    if (!word) {
+      word = { entryId: record.entryId, entry: record.entry, count: 0, queries: [], lastTimestamp: 0, hostname: '' };
+      byEntry.set(record.entryId, word);
+    }
+
+    word.count++;
+    if (!word.queries.includes(record.query)) word.queries.push(record.query);
+    if (record.timestamp >= word.lastTimestamp) {
+      word.lastTimestamp = record.timestamp;
+      word.hostname = record.hostname;
+    }
+  }
+
+  return [...byEntry.values()]
+    .sort((a, b) => b.count - a.count || b.lastTimestamp - a.lastTimestamp)
+    .slice(0, limit);
+}
+
+/**
+ * Group records into a newest-first timeline by local calendar day
+ * @param {Array} records - History records
+ * @returns {Array<{day: string, records: Array}>} - day as YYYY-MM-DD
+ */
+export function groupByDay(records) {
+  const days = new Map();
+  const sorted = [...records].sort((a, b) => b.timestamp - a.timestamp);
+
+  for (const record of sorted) {
+    const date = new Date(record.timestamp);
+    const day = [
+      date.getFullYear(),
+      String(date.getMonth() + 1).padStart(2, '0'),
+      String(date.getDate()).padStart(2, '0')
+    ].join('-');
+
+    if (!days.has(day)) days.set(day, []);
+    days.get(day).push(record);
+  }
+
+  return [...days].map(([day, dayRecords]) => ({ day, records: dayRecords }));
+}
@@ -0,0 +1,365 @@
+/**
+ * English lemmatizer - irregular forms table plus rule-based morphology
+ * Produces scored base-form candidates; callers rank them against the
+ * dictionary's key set so junk stems ("neede", "b") never win
+ */
+
+// Base form: irregular inflections (verbs, nouns, adjectives/adverbs)
+const IRREGULAR_BASES = {
+  // Verbs
+  be: ['am', 'is', 'are', 'was', 'were', 'been', 'being'],
+  have: ['has', 'had', 'having'],
+  do: ['does', 'did', 'done', 'doing'],
+  go: ['goes', 'went', 'gone'],
+  say: ['says', 'said'],
+  make: ['made'],
+  take: ['took', 'taken'],
+  come: ['came'],
+  see: ['saw', 'seen'],
+  know: ['knew', 'known'],
+  get: ['got', 'gotten'],
+  give: ['gave', 'given'],
+  find: ['found'],
+  think: ['thought'],
+  tell: ['told'],
+  become: ['became'],
+  leave: ['left'],
+  feel: ['felt'],
+  bring: ['brought'],
+  begin: ['began', 'begun'],
+  keep: ['kept'],
+  hold: ['held'],
+  write: ['wrote', 'written'],
+  stand: ['stood'],
+  hear: ['heard'],
+  mean: ['meant'],
+  meet: ['met'],
+  run: ['ran'],
+  pay: ['paid'],
+  sit: ['sat'],
+  speak: ['spoke', 'spoken'],
+  lie: ['lay', 'lain', 'lying'],
+  lay: ['laid'],
+  lead: ['led'],
+  grow: ['grew', 'grown'],
+  lose: ['lost'],
+  fall: ['fell', 'fallen'],
+  send: ['sent'],
+  build: ['built'],
+  understand: ['understood'],
+  draw: ['drew', 'drawn'],
+  break: ['broke', 'broken'],
+  spend: ['spent'],
+  rise: ['rose', 'risen'],
+  drive: ['drove', 'driven'],
+  buy: ['bought'],
+  wear: ['wore', 'worn'],
+  choose: ['chose', 'chosen'],
+  seek: ['sought'],
+  throw: ['threw', 'thrown'],
+  catch: ['caught'],
+  deal: ['dealt'],
+  win: ['won'],
+  forget: ['forgot', 'forgotten'],
+  sell: ['sold'],
+  fight: ['fought'],
+  teach: ['taught'],
+  eat: ['ate', 'eaten'],
+  drink: ['drank', 'drunk'],
+  sing: ['sang', 'sung'],
+  swim: ['swam', 'swum'],
+  fly: ['flew', 'flown', 'flies'],
+  sleep: ['slept'],
+  steal: ['stole', 'stolen'],
+  hide: ['hid', 'hidden'],
+  bite: ['bit', 'bitten'],
+  ride: ['rode', 'ridden'],
+  shake: ['shook', 'shaken'],
+  hang: ['hung'],
+  feed: ['fed'],
+  flee: ['fled'],
+  shoot: ['shot'],
+  dig: ['dug'],
+  freeze: ['froze', 'frozen'],
+  forgive: ['forgave', 'forgiven'],
+  wake: ['woke', 'woken'],
+  lend: ['lent'],
+  bend: ['bent'],
+  blow: ['blew', 'blown'],
+  bleed: ['bled'],
+  breed: ['bred'],
+  bind: ['bound'],
+  dream: ['dreamt'],
+  burn: ['burnt'],
+  learn: ['learnt'],
+  smell: ['smelt'],
+  spell: ['spelt'],
+  spill: ['spilt'],
+  stick: ['stuck'],
+  strike: ['struck'],
+  swing: ['swung'],
+  sweep: ['swept'],
+  weep: ['wept'],
+  kneel: ['knelt'],
+  light: ['lit'],
+  slide: ['slid'],
+  spin: ['spun'],
+  spit: ['spat'],
+  tear: ['tore', 'torn'],
+  ring: ['rang', 'rung'],
+  sink: ['sank', 'sunk'],
+  shine: ['shone'],
+  shrink: ['shrank', 'shrunk'],
+  forbid: ['forbade', 'forbidden'],
+  arise: ['arose', 'arisen'],
+  awake: ['awoke', 'awoken'],
+  bear: ['bore', 'borne'],
+  beat: ['beaten'],
+  cling: ['clung'],
+  creep: ['crept'],
+  grind: ['ground'],
+  leap: ['leapt'],
+  prove: ['proven'],
+  sew: ['sewn'],
+  show: ['shown'],
+  sting: ['stung'],
+  stink: ['stank', 'stunk'],
+  swear: ['swore', 'sworn'],
+  swell: ['swollen'],
+  tread: ['trod', 'trodden'],
+  weave: ['wove', 'woven'],
+  wind: ['wound'],
+  withdraw: ['withdrew', 'withdrawn'],
+  die: ['dying', 'dice'],
+  tie: ['tying'],
+  // Nouns
+  child: ['children'],
+  man: ['men'],
+  woman: ['women'],
+  person: ['people'],
+  mouse: ['mice'],
+  goose: ['geese'],
+  foot: ['feet'],
+  tooth: ['teeth'],
+  louse: ['lice'],
+  ox: ['oxen'],
+  knife: ['knives'],
+  wife: ['wives'],
+  life: ['lives'],
+  wolf: ['wolves'],
+  half: ['halves'],
+  shelf: ['shelves'],
+  thief: ['thieves'],
+  loaf: ['loaves'],
+  calf: ['calves'],
+  self: ['selves'],
+  leaf: ['leaves'],
+  criterion: ['criteria'],
+  phenomenon: ['phenomena'],
+  analysis: ['analyses'],
+  crisis: ['crises'],
+  thesis: ['theses'],
+  cactus: ['cacti'],
+  fungus: ['fungi'],
+  nucleus: ['nuclei'],
+  radius: ['radii'],
+  stimulus: ['stimuli'],
+  index: ['indices'],
+  appendix: ['appendices'],
+  matrix: ['matrices'],
+  // Adjectives and adverbs
+  good: ['better', 'best'],
+  well: ['better', 'best'],
+  bad: ['worse', 'worst'],
+  many: ['more', 'most'],
+  much: ['more', 'most'],
+  little: ['less', 'least'],
+  far: ['further', 'farther', 'furthest', 'farthest'],
+  old: ['elder', 'eldest'],
+  true: ['truly'],
+  whole: ['wholly'],
+  due: ['duly'],
+  gentle: ['gently'],
+  subtle: ['subtly']
+};
+
+/**
+ * Inflected form → base forms, built from IRREGULAR_BASES
+ */
+export const IRREGULAR_FORMS = {};
+for (const [base, forms] of Object.entries(IRREGULAR_BASES)) {
+  for (const form of forms) {
+    (IRREGULAR_FORMS[form] ||= []).push(base);
+  }
+}
+
+const IRREGULAR_SCORE = 1;
+
+const isVowel = (char) => 'aeiou'.includes(char);
+
+/**
+ * Base-form candidates for a stem left after removing -ed, -ing, -er or -est
+ * @param {string} stem
+ * @returns {Array<[string, number]>} - [candidate, score] pairs
+ */
+function stemBases(stem) {
+  const n = stem.length;
+  if (n < 2) return [];
+
+  const last = stem[n - 1];
+  const prev = stem[n - 2];
+  const before = stem[n - 3];
+
+  // Doubled final consonant: stopp → stop, but call/miss/add are already bases
+  if (last === prev && !isVowel(last)) {
+    const undoubled = stem.slice(0, -1);
+    const undoubledScore = undoubled.length < 3 ? 0.3 : ('lsfz'.includes(last) ? 0.5 : 0.9);
+    const plainScore = 'lsfzd'.includes(last) ? 0.8 : 0.2;
+    return [[undoubled, undoubledScore], [stem, plainScore]];
+  }
+
+  // Consonant + l: handl → handle, settl → settle
+  if (last === 'l' && 'bcdfgkptz'.includes(prev)) {
+    return [[stem + 'e', 0.9]];
+  }
+
+  // Single vowel + consonant: mak → make (short words), visit (longer words)
+  const cvc = !isVowel(last) && !'wxy'.includes(last) && isVowel(prev) && (n === 2 || !isVowel(before));
+  if (cvc) {
+    const syllables = (stem.match(/[aeiouy]+/g) || []).length;
+    return syllables === 1
+      ? [[stem + 'e', 0.85], [stem, 0.7]]
+      : [[stem, 0.85], [stem + 'e', 0.6]];
+  }
+
+  // Endings that are almost always followed by a silent e: lov, argu, danc, chang, rins, rais
+  if (/(?:v|u|[^aeiou][cg]|[^aeious]s|[aeiou]{2}[szcg]|z)$/.test(stem)) {
+    return [[stem + 'e', 0.85], [stem, 0.6]];
+  }
+
+  if (stem.endsWith('th')) {
+    return [[stem, 0.85], [stem + 'e', 0.6]];
+  }
+
+  return [[stem, 0.9]];
+}
+
+/**
+ * Plural / third-person -s candidates
+ * @param {string} word
+ * @returns {Array<[string, number]>}
+ */
+function pluralBases(word) {
+  const n = word.length;
+  if (n <= 2 || word.endsWith('ss') || word.endsWith('us') || word.endsWith('is')) return [];
+
+  if (word.endsWith('ies')) {
+    return n > 4
+      ? [[word.slice(0, -3) + 'y', 0.9], [word.slice(0, -1), 0.5]]
+      : [[word.slice(0, -1), 0.9]];
+  }
+
+  if (word.endsWith('es')) {
+    const stem = word.slice(0, -2);
+    if (/(?:x|ch|sh)$/.test(stem)) return [[stem, 0.9], [word.slice(0, -1), 0.6]];
+    if (/(?:ss|zz)$/.test(stem)) return [[stem, 0.9], [stem.slice(0, -1), 0.8]];
+    if (/[sz]$/.test(stem)) return [[word.slice(0, -1), 0.9], [stem, 0.7]];
+    if (stem.endsWith('o')) return [[stem, 0.8], [word.slice(0, -1), 0.7]];
+    if (stem.endsWith('v')) {
+      const base = stem.slice(0, -1);
+      return [[word.slice(0, -1), 0.7], [base + 'f', 0.6], [base + 'fe', 0.5]];
+    }
+  }
+
+  return [[word.slice(0, -1), 0.85]];
+}
+
+/**
+ * Adverb -ly candidates
+ * @param {string} word
+ * @returns {Array<[string, number]>}
+ */
+function adverbBases(word) {
+  if (word.length <= 3) return [];
+
+  if (word.endsWith('ically')) return [[word.slice(0, -4), 0.9], [word.slice(0, -2), 0.7]];
+  if (word.endsWith('ily') && word.length > 4) return [[word.slice(0, -3) + 'y', 0.9], [word.slice(0, -2), 0.5]];
+  if (/[bp]ly$/.test(word)) return [[word.slice(0, -1) + 'e', 0.9], [word.slice(0, -2), 0.5]];
+  if (/[dtk]ly$/.test(word)) return [[word.slice(0, -2), 0.85], [word.slice(0, -1) + 'e', 0.5]];
+
+  return [[word.slice(0, -2), 0.8]];
+}
+
+/**
+ * Scored base-form candidates for one word (the word itself not included)
+ * @param {string} word - Lowercase word without surrounding punctuation
+ * @returns {Array<{lemma: string, score: number}>} - Best first
+ */
+export function lemmaCandidates(word) {
+  const scored = [];
+
+  const irregular = Object.hasOwn(IRREGULAR_FORMS, word) ? IRREGULAR_FORMS[word] : [];
+  for (const lemma of irregular) {
+    scored.push([lemma, IRREGULAR_SCORE]);
+  }
+
+  // Possessives: teacher's → teacher, teachers' → teachers
+  if (/'s$/.test(word)) {
+    scored.push([word.slice(0, -2), 0.95]);
+  } else if (/s'$/.test(word)) {
+    scored.push([word.slice(0, -1), 0.95]);
+  } else if (word.endsWith('s')) {
+    scored.push(...pluralBases(word));
+  }
+
+  if (word.endsWith('ied') && word.length > 4) {
+    scored.push([word.slice(0, -3) + 'y', 0.9]);
+  } else if (word.endsWith('eed') && word.length > 4) {
+    // Base ends in e: agreed → agree, freed → free
+    scored.push([word.slice(0, -1), 0.9]);
+  } else if (word.endsWith('ed') && word.length > 3) {
+    scored.push(...stemBases(word.slice(0, -2)));
+  }
+
+  if (word.endsWith('ing') && word.length > 4) {
+    scored.push(...stemBases(word.slice(0, -3)));
+  }
+
+  if (word.endsWith('ier') && word.length > 4) {
+    scored.push([word.slice(0, -3) + 'y', 0.9]);
+  } else if (word.endsWith('er') && word.length > 3) {
+    scored.push(...stemBases(word.slice(0, -2)));
+  }
+
+  if (word.endsWith('iest') && word.length > 5) {
+    scored.push([word.slice(0, -4) + 'y', 0.9]);
+  } else if (word.endsWith('est') && word.length > 4) {
+    scored.push(...stemBases(word.slice(0, -3)));
+  }
+
+  if (word.endsWith('ly')) scored.push(...adverbBases(word));
+
+  // Keep the best score per lemma, drop implausible stems ("b", "st")
+  const best = new Map();
+  for (const [lemma, score] of scored) {
+    if (lemma === word || lemma.length < 2 || !/[aeiouy]/.test(lemma)) continue;
+    if (!best.has(lemma) || best.get(lemma) < score) best.set(lemma, score);
+  }
+
+  return [...best]
+    .map(([lemma, score]) => ({ lemma, score }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Ranked lookup candidates for a word: the word itself, then base forms
+ * When a key check is given, only forms that exist in the dictionary are kept
+ *
+ * @param {string} word - Lowercase word without surrounding punctuation
+ * @param {Function} [hasKey] - (key) => boolean, true if the dictionary has that key
+ * @returns {string[]} - Candidates, most plausible first
+ */
+export function lemmatize(word, hasKey) {
+  const candidates = [word, ...lemmaCandidates(word).map(c => c.lemma)];
+  return hasKey ? candidates.filter(hasKey) : candidates;
+}
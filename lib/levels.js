@@ -0,0 +1,54 @@
+/**
+ * Exam levels (HSK 3.0, TOCFL) - entry tags joined by scripts/preprocess_cedict.cjs
+ * Entries on a word list carry `l: { hsk?: number, tocfl?: number }`
+ */
+
+// HSK 3.0 levels 1-6 plus the combined 7-9 band (stored as 7);
+// TOCFL Novice 1-2 then Levels 1-5 (stored as 1-7)
+export const EXAMS = {
+  hsk: { label: 'HSK', maxLevel: 7 },
+  tocfl: { label: 'TOCFL', maxLevel: 7 }
+};
+
+export const DEFAULT_EXAM = 'hsk';
+
+/**
+ * Level of an entry on an exam word list
+ * @param {Object} entry - Dictionary entry
+ * @param {string} exam - 'hsk' | 'tocfl'
+ * @returns {number|null} - Level, or null when the word is not on the list
+ */
+export function getLevel(entry, exam) {
+  return entry.l?.[exam] ?? null;
+}
+
+/**
+ * Badge text for a level ("HSK 3", "HSK 7–9", "TOCFL 2")
+ * NOTE: Keep in sync with content.js getLevelLabel
+ *
+ * @param {string} exam - 'hsk' | 'tocfl'
+ * @param {number} level
+ * @returns {string}
+ */
+export function levelLabel(exam, level) {
+  if (exam === 'hsk' && level >= EXAMS.hsk.maxLevel) return 'HSK 7–9';
+  return `${EXAMS[exam].label} ${level}`;
+}
+
+/**
+ * Move entries at or below the target level to the front, keeping order otherwise
+ * @param {Array} entries - Ranked entries
+ * @param {string} exam - 'hsk' | 'tocfl'
+ * @param {number} targetLevel - Learner's target level (0 = no preference)
+ * @returns {Array} - New array
+ */
+export function rankByLevel(entries, exam, targetLevel) {
+  if (!targetLevel || !EXAMS[exam]) return entries;
+
+  const inReach = (entry) => {
+    const level = getLevel(entry, exam);
+    return level !== null && level <= targetLevel;
+  };
+
+  return [...entries.filter(inReach), ...entries.filter(entry => !inReach(entry))];
+}
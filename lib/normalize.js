@@ -3,15 +3,30 @@
  * Extracted from background.js for testability
  */
 
+import { lemmaCandidates } from './lemmatize.js';
+import { rankByLevel } from './levels.js';
+import { contextWords, groupBySense } from './senses.js';
+
 export const MAX_SELECTION_LENGTH = 100;
 
 /**
  * Normalize an English word by generating possible base forms
- * Handles plurals, past tense, gerunds, comparatives, adverbs
+ * Irregular forms and inflections are resolved by lib/lemmatize.js
  * @param {string} word - The word to normalize
- * @returns {string[]|null} - Array of possible base forms, or null if invalid
+ * @param {Function} [hasKey] - (key) => boolean; when given, only dictionary keys are returned
+ * @returns {string[]|null} - Possible base forms, most plausible first, or null if invalid
  */
-export function normalizeWord(word) {
+export function normalizeWord(word, hasKey) {
+  const forms = scoredForms(word, hasKey);
+  return forms && forms.map(({ form }) => form);
+}
+
+/**
+ * Forms of a word or phrase with the lemmatizer's score (a phrase takes its
+ * weakest word's); `surface` marks the text as selected, without base forms
+ * @returns {Array<{form: string, score: number, surface: boolean}>|null}
+ */
+function scoredForms(word, hasKey) {
   const cleaned = word.toLowerCase().trim();
   if (!cleaned || cleaned.length > MAX_SELECTION_LENGTH) return null;
 
@@ -21,86 +36,43 @@ export function normalizeWord(word) {
     if (words.length < 2 || words.length > 3) return null;
 
     const perWord = words.map(w => normalizeSingleWord(w));
-    return cartesian(perWord).slice(0, 20);
+    const phrases = cartesian(perWord).map(parts => ({
+      form: parts.map(part => part.form).join(' '),
+      score: Math.min(...parts.map(part => part.score)),
+      surface: parts.every(part => part.surface)
+    }));
+    return (hasKey ? phrases.filter(({ form }) => hasKey(form)) : phrases).slice(0, 20);
   }
 
-  return normalizeSingleWord(cleaned);
+  const variations = normalizeSingleWord(cleaned);
+  return hasKey ? variations.filter(({ form }) => hasKey(form)) : variations;
 }
 
 function normalizeSingleWord(cleaned) {
-  const variations = [cleaned];
-
-  // Remove trailing punctuation
-  const withoutPunct = cleaned.replace(/[.,!?;:'"]+$/, '');
-  if (withoutPunct !== cleaned) variations.push(withoutPunct);
-
-  // -ies -> -y (studies -> study)
-  if (cleaned.endsWith('ies') && cleaned.length > 4) {
-    variations.push(cleaned.slice(0, -3) + 'y');
-  }
-
-  // -s / -es (cats -> cat, boxes -> box)
-  if (cleaned.endsWith('s') && cleaned.length > 2) {
-    variations.push(cleaned.slice(0, -1));
-    if (cleaned.endsWith('es') && cleaned.length > 3) {
-      variations.push(cleaned.slice(0, -2));
-    }
-    if (cleaned.endsWith('ses') || cleaned.endsWith('zes')) {
-      variations.push(cleaned.slice(0, -2));
-    }
-  }
-
-  // -ing (running -> run, making -> make)
-  if (cleaned.endsWith('ing') && cleaned.length > 4) {
-    const base = cleaned.slice(0, -3);
-    variations.push(base);
-    variations.push(base + 'e'); // making -> make
-    // Doubled consonant (running -> run)
-    if (base.length > 1 && base[base.length - 1] === base[base.length - 2]) {
-      variations.push(base.slice(0, -1));
-    }
-  }
-
-  // -ed (liked -> like, stopped -> stop)
-  if (cleaned.endsWith('ed') && cleaned.length > 3) {
-    variations.push(cleaned.slice(0, -2));
-    variations.push(cleaned.slice(0, -1)); // liked -> like
-    // Doubled consonant (stopped -> stop)
-    const base = cleaned.slice(0, -2);
-    if (base.length > 1 && base[base.length - 1] === base[base.length - 2]) {
-      variations.push(base.slice(0, -1));
-    }
-  }
-
-  // -er / -est (bigger -> big, fastest -> fast)
-  if (cleaned.endsWith('er') && cleaned.length > 3) {
-    variations.push(cleaned.slice(0, -2));
-    variations.push(cleaned.slice(0, -1)); // nicer -> nice
-    const base = cleaned.slice(0, -2);
-    if (base.length > 1 && base[base.length - 1] === base[base.length - 2]) {
-      variations.push(base.slice(0, -1)); // bigger -> big
-    }
-  }
-  if (cleaned.endsWith('est') && cleaned.length > 4) {
-    variations.push(cleaned.slice(0, -3));
-    variations.push(cleaned.slice(0, -2)); // nicest -> nice
-  }
-
-  // -ly (quickly -> quick)
-  if (cleaned.endsWith('ly') && cleaned.length > 3) {
-    variations.push(cleaned.slice(0, -2));
+  const variations = [{ form: cleaned, score: 1, surface: true }];
+
+  // Remove surrounding punctuation (keeps a possessive apostrophe for the lemmatizer)
+  const withoutPunct = cleaned.replace(/[.,!?;:"]+$/, '').replace(/^['"]+/, '');
+  const word = withoutPunct.endsWith("s'") ? withoutPunct : withoutPunct.replace(/'+$/, '');
+
+  const candidates = [
+    { form: word, score: 1, surface: true },
+    ...lemmaCandidates(word).map(({ lemma, score }) => ({ form: lemma, score, surface: false }))
+  ];
+  for (const candidate of candidates) {
+    if (!variations.some(({ form }) => form === candidate.form)) variations.push(candidate);
   }
 
   return variations;
 }
 
 function cartesian(arrays) {
-  let results = arrays[0].map(v => v);
+  let results = arrays[0].map(v => [v]);
   for (let i = 1; i < arrays.length; i++) {
     const next = [];
     for (const prev of results) {
       for (const val of arrays[i]) {
-        next.push(prev + ' ' + val);
+        next.push([...prev, val]);
       }
     }
     results = next;
@@ -109,22 +81,47 @@ function cartesian(arrays) {
 }
 
 /**
- * Lookup a word in the dictionary, trying normalized variations
+ * Lookup a word in the dictionary, merging entries from every matching variation
+ * Results are ranked by reading: the top entry of each matching form comes
+ * first (in lemmatizer order), then each form's second entry, and so on.
+ * When the text is itself a key, only irregular and possessive base forms are merged.
+ * Entries found under the same definition stay together (lib/senses.js), the
+ * sense matching the sentence around the selection first.
+ * With a target level, words at or below it on that exam's list move to the front
+ *
  * @param {string} text - The word to look up
  * @param {Object} dictionary - Dictionary object keyed by English words
- * @returns {Array|null} - Array of entries or null if not found
+ * @param {Object} [options] - { exam: 'hsk' | 'tocfl', targetLevel: number (0 = off), context: sentence }
+ * @returns {Array|null} - Entries labelled with the key they matched and its sense
+ *   ({ ...entry, match, sense }), or null
  */
-export function lookup(text, dictionary) {
+export function lookup(text, dictionary, { exam, targetLevel, context } = {}) {
   if (!dictionary) return null;
 
-  const variations = normalizeWord(text);
-  if (!variations) return null;
-
-  for (const variant of variations) {
-    if (dictionary[variant]) {
-      return dictionary[variant];
-    }
+  const hasKey = key => Object.hasOwn(dictionary, key);
+  const forms = scoredForms(text, hasKey);
+  if (!forms || forms.length === 0) return null;
+
+  // The selected word's own senses come first: its base forms are often
+  // other words ("evening" → even, "number" → numb), so they follow it
+  const ranked = [];
+  forms.forEach(({ form: match, surface }, formRank) => {
+    const tier = surface ? 0 : 1;
+    dictionary[match].forEach((entry, entryRank) => {
+      ranked.push({ entry, match, tier, formRank, entryRank });
+    });
+  });
+  ranked.sort((a, b) => a.tier - b.tier || a.entryRank - b.entryRank || a.formRank - b.formRank);
+
+  // Same word under several forms: keep its best-ranked occurrence
+  const seen = new Set();
+  const results = [];
+  for (const { entry, match } of ranked) {
+    const key = `${entry.s}|${entry.p}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    results.push({ ...entry, match });
   }
 
-  return null;
+  return rankByLevel(groupBySense(results, contextWords(context, text)), exam, targetLevel);
 }
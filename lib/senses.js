@@ -0,0 +1,82 @@
+/**
+ * Senses of English lookups - which definition an entry was found under
+ *
+ * scripts/preprocess_cedict.cjs stores `k` on each entry of an English key: the
+ * index in `d` of the definition the key was extracted from ("bank" → 銀行 under
+ * "bank", 岸 under "bank (of a river)"). Lookups label rows with that definition,
+ * keep rows of one sense together, and can put the sense that fits the words
+ * around the selection first.
+ */
+
+export const MAX_SENSE_LABEL_LENGTH = 40;
+
+// Too common to tell senses apart
+const CONTEXT_STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'was', 'were', 'are', 'has', 'have',
+  'had', 'not', 'but', 'you', 'your', 'his', 'her', 'its', 'our', 'their', 'they', 'she',
+  'him', 'them', 'who', 'what', 'which', 'when', 'where', 'will', 'would', 'can', 'could',
+  'been', 'into', 'about', 'than', 'then', 'there', 'some', 'one', 'all', 'out', 'also'
+]);
+
+/**
+ * Short label for the sense an entry was found under
+ * @param {Object} entry - Entry from an English key ({ d, k })
+ * @returns {string} - The definition without classifier notes, shortened; empty without one
+ */
+export function senseLabel(entry) {
+  const definition = Number.isInteger(entry.k) ? entry.d?.[entry.k] : undefined;
+  if (!definition) return '';
+
+  const label = definition
+    .replace(/\bCL:\S*/g, '')
+    .replace(/\[[^\]]*\]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return label.length > MAX_SENSE_LABEL_LENGTH ? `${label.slice(0, MAX_SENSE_LABEL_LENGTH - 1).trimEnd()}…` : label;
+}
+
+/**
+ * Words of the text around a selection that can point to a sense
+ * @param {string} context - Sentence around the selection
+ * @param {string} query - Selected text (its words are left out)
+ * @returns {string[]}
+ */
+export function contextWords(context, query = '') {
+  const queryWords = new Set(query.toLowerCase().match(/[a-z]+/g) || []);
+  const words = (context || '').toLowerCase().match(/[a-z]+/g) || [];
+  return [...new Set(words.filter(word => word.length > 2 && !queryWords.has(word) && !CONTEXT_STOP_WORDS.has(word)))];
+}
+
+// How many context words an entry's definitions mention
+function contextScore(entry, words) {
+  if (words.length === 0) return 0;
+  const defined = new Set(entry.d.join(' ').toLowerCase().match(/[a-z]+/g) || []);
+  return words.filter(word => defined.has(word)).length;
+}
+
+/**
+ * Label entries with their sense and keep entries of one sense together, in the
+ * order each sense first appears; senses whose definitions mention the context
+ * words move to the front (most mentions first)
+ * @param {Array} entries - Ranked entries from an English key
+ * @param {string[]} [words] - Output of contextWords
+ * @returns {Array} - New array of { ...entry, sense }
+ */
+export function groupBySense(entries, words = []) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const sense = senseLabel(entry);
+    // Entries without a recorded sense stay apart
+    const key = sense ? sense.toLowerCase() : Symbol('no sense');
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(sense ? { ...entry, sense } : entry);
+  }
+
+  const ordered = [...groups.values()].map((group, index) => ({
+    group,
+    index,
+    score: Math.max(...group.map(entry => contextScore(entry, words)))
+  }));
+  ordered.sort((a, b) => b.score - a.score || a.index - b.index);
+  return ordered.flatMap(({ group }) => group);
+}
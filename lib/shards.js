@@ -0,0 +1,147 @@
+/**
+ * Sharded dictionary - shard keys, the pack file layout, and dictionary slices
+ *
+ * scripts/preprocess_cedict.cjs writes each index (English keys, Chinese headwords)
+ * as a pack: one JSON header line `{ "version": hash, "shards": { id: [offset, length, hash] } }`
+ * followed by every shard's JSON, with UTF-8 byte offsets counted from the end of the
+ * header. The version is the content hash of all shards, so a regenerated dictionary
+ * is a new version. background.js unpacks the packs into IndexedDB once per version,
+ * checks each shard against its hash when reading it back, then hands lib/normalize.js
+ * and lib/chinese.js a slice of the index holding just the candidate keys.
+ */
+
+import { MAX_HEADWORD_LENGTH } from './chinese.js';
+import { normalizeWord } from './normalize.js';
+
+export const HEADWORD_SHARD_COUNT = 256;
+export const HASH_LENGTH = 16; // Hex digits kept of each SHA-256
+
+/**
+ * Shard of an English key: its first two characters, non-letters as "_"
+ * NOTE: Keep in sync with scripts/preprocess_cedict.cjs englishShard
+ *
+ * @param {string} key - Dictionary key (lowercase word or phrase)
+ * @returns {string} - Shard id, e.g. "ba" for "bank", "a_" for "a lot"
+ */
+export function englishShard(key) {
+  return key.slice(0, 2).padEnd(2, '_').replace(/[^a-z]/g, '_');
+}
+
+/**
+ * Shard of a Chinese headword: its first character's code point, bucketed
+ * (segmentation only asks for words starting at one position, so they share a shard)
+ * NOTE: Keep in sync with scripts/preprocess_cedict.cjs headwordShard
+ *
+ * @param {string} word - Traditional or Simplified headword
+ * @returns {string} - Shard id, "0" to "255"
+ */
+export function headwordShard(word) {
+  return String(word.codePointAt(0) % HEADWORD_SHARD_COUNT);
+}
+
+/**
+ * English keys lookup may try: every form normalizeWord checks against the dictionary
+ * (before its cap on phrase forms, which applies to the ones that exist)
+ * @param {string} text - English word or phrase
+ * @returns {string[]}
+ */
+export function englishCandidates(text) {
+  const candidates = [];
+  normalizeWord(text, (key) => {
+    candidates.push(key);
+    return false;
+  });
+  return candidates;
+}
+
+/**
+ * Headwords segmentation may try: every substring up to MAX_HEADWORD_LENGTH
+ * @param {string} text - Chinese text
+ * @param {Object} [options]
+ * @param {boolean} [options.fromStart] - Only words starting at the first character (hover mode)
+ * @returns {string[]}
+ */
+export function headwordCandidates(text, { fromStart = false } = {}) {
+  // Matches lib/chinese.js: lookupChinese trims, lookupHeadword does not
+  const source = fromStart ? text : text.trim();
+  const candidates = new Set();
+  const starts = fromStart ? Math.min(source.length, 1) : source.length;
+
+  for (let start = 0; start < starts; start++) {
+    const maxEnd = Math.min(source.length, start + MAX_HEADWORD_LENGTH);
+    for (let end = start + 1; end <= maxEnd; end++) {
+      candidates.add(source.slice(start, end));
+    }
+  }
+
+  return [...candidates];
+}
+
+/**
+ * Copy the given keys out of their shards into one small index
+ * @param {string[]} keys - Candidate keys
+ * @param {Function} shardFor - (key) => parsed shard object, or undefined if not loaded
+ * @returns {Object} - { key: value } for the keys that exist
+ */
+export function sliceIndex(keys, shardFor) {
+  const slice = {};
+  for (const key of keys) {
+    const shard = shardFor(key);
+    if (shard && Object.hasOwn(shard, key)) slice[key] = shard[key];
+  }
+  return slice;
+}
+
+/**
+ * Simplified headwords that Traditional aliases in a slice point to but it lacks
+ * (aliases can cross shards, so they are fetched in a second pass)
+ * @param {Object} slice - Headword index slice
+ * @returns {string[]}
+ */
+export function missingAliasTargets(slice) {
+  const targets = Object.values(slice).filter(value => typeof value === 'string' && !Object.hasOwn(slice, value));
+  return [...new Set(targets)];
+}
+
+/**
+ * Content hash of a shard's JSON or a pack's shards: SHA-256, hex, shortened
+ * NOTE: Keep in sync with scripts/preprocess_cedict.cjs contentHash
+ *
+ * @param {string|Uint8Array} data - Text (hashed as UTF-8) or bytes
+ * @returns {Promise<string>}
+ */
+export async function contentHash(data) {
+  const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+  return [...digest].map(byte => byte.toString(16).padStart(2, '0')).join('').slice(0, HASH_LENGTH);
+}
+
+/**
+ * Read a pack's header line (the bytes may stop anywhere after it)
+ * @param {Uint8Array} bytes - Start of the pack file
+ * @param {TextDecoder} [decoder]
+ * @returns {Object} - { version, shards: { id: [offset, length, hash] }, features, bodyStart }
+ *   (features: what the dictionary was built with, e.g. { levels: ['hsk'], frequency: true };
+ *   {} if not recorded)
+ */
+export function parsePackHeader(bytes, decoder = new TextDecoder()) {
+  const headerEnd = bytes.indexOf(0x0a);
+  if (headerEnd === -1) throw new Error('Invalid dictionary pack: missing header');
+
+  const { version, shards, features = {} } = JSON.parse(decoder.decode(bytes.subarray(0, headerEnd)));
+  if (typeof version !== 'string' || !shards) throw new Error('Invalid dictionary pack: missing version');
+  return { version, shards, features, bodyStart: headerEnd + 1 };
+}
+
+/**
+ * Split a pack into its shards' JSON text, one shard at a time
+ * @param {Uint8Array} bytes - Pack file contents
+ * @param {TextDecoder} [decoder]
+ * @yields {[string, string, string]} - [shard id, shard JSON, shard hash]
+ */
+export function* unpackShards(bytes, decoder = new TextDecoder()) {
+  const { shards, bodyStart } = parsePackHeader(bytes, decoder);
+  for (const [id, [offset, length, hash]] of Object.entries(shards)) {
+    yield [id, decoder.decode(bytes.subarray(bodyStart + offset, bodyStart + offset + length)), hash];
+  }
+}
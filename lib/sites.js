@@ -0,0 +1,108 @@
+/**
+ * Per-site rules - turn Mandopop on or off for a site, overriding the global toggle
+ * Stored in chrome.storage.sync as `siteRules: [{ site, enabled }]`; a rule for
+ * "example.com" also covers its subdomains, and the most specific rule wins
+ */
+
+import { getHostname } from './history.js';
+
+const SITE_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)*$/;
+
+/**
+ * Site a page belongs to, for the "this site" toggle ("www." dropped)
+ * @param {string} url
+ * @returns {string} - Empty for pages without a web hostname
+ */
+export function siteForUrl(url) {
+  return getHostname(url).replace(/^www\./, '');
+}
+
+/**
+ * Normalize list editor input ("https://www.example.com/path", "*.example.com")
+ * @param {string} input
+ * @returns {string} - Site, or empty when the input is not a hostname
+ */
+export function normalizeSite(input) {
+  let site = input.trim().toLowerCase();
+  if (site.includes('://')) {
+    site = getHostname(site);
+  }
+
+  site = site.split('/')[0].replace(/:\d+$/, '').replace(/^\*\./, '').replace(/^www\./, '');
+  return SITE_PATTERN.test(site) ? site : '';
+}
+
+/**
+ * Most specific rule covering a page
+ * NOTE: Keep in sync with content.js findSiteRule
+ *
+ * @param {Array} rules - [{ site, enabled }]
+ * @param {string} url - Page URL
+ * @returns {Object|null}
+ */
+export function findSiteRule(rules, url) {
+  const hostname = getHostname(url);
+  if (!hostname || !rules) return null;
+
+  let best = null;
+  for (const rule of rules) {
+    const covers = hostname === rule.site || hostname.endsWith(`.${rule.site}`);
+    if (covers && (!best || rule.site.length > best.site.length)) {
+      best = rule;
+    }
+  }
+  return best;
+}
+
+/**
+ * Whether Mandopop is on for a page: its rule if there is one, else the global toggle
+ * @param {Array} rules - [{ site, enabled }]
+ * @param {string} url - Page URL
+ * @param {boolean} enabled - Global `enabled` setting
+ * @returns {boolean}
+ */
+export function isSiteEnabled(rules, url, enabled) {
+  const rule = findSiteRule(rules, url);
+  return rule ? rule.enabled : enabled;
+}
+
+/**
+ * Add or replace the rule for a site
+ * @param {Array} rules - [{ site, enabled }]
+ * @param {string} site - Normalized site
+ * @param {boolean} enabled
+ * @returns {Array} - New array, sorted by site
+ */
+export function setSiteRule(rules, site, enabled) {
+  return [...removeSiteRule(rules, site), { site, enabled }]
+    .sort((a, b) => a.site.localeCompare(b.site));
+}
+
+/**
+ * Remove the rule for a site
+ * @param {Array} rules - [{ site, enabled }]
+ * @param {string} site
+ * @returns {Array} - New array
+ */
+export function removeSiteRule(rules, site) {
+  return (rules || []).filter(rule => rule.site !== site);
+}
+
+/**
+ * Turn a page's site on or off, dropping the rule when it would only repeat
+ * what the global toggle or a broader rule already says
+ * @param {Array} rules - [{ site, enabled }]
+ * @param {string} url - Page URL
+ * @param {boolean} enabled - Wanted state for the page
+ * @param {boolean} globalEnabled - Global `enabled` setting
+ * @returns {Array} - New array
+ */
+export function toggleSite(rules, url, enabled, globalEnabled) {
+  const site = siteForUrl(url);
+  if (!site) return rules || [];
+
+  const without = removeSiteRule(rules, site);
+  return isSiteEnabled(without, url, globalEnabled) === enabled
+    ? without
+    : setSiteRule(without, site, enabled);
+}
@@ -0,0 +1,119 @@
+/**
+ * Spaced repetition scheduling (SM-2 variant with Anki-style grades)
+ * Pure functions: review state lives on word list records under `review`
+ */
+
+export const DIRECTIONS = ['en-zh', 'zh-py', 'audio-en'];
+
+export const GRADES = { AGAIN: 0, HARD: 1, GOOD: 2, EASY: 3 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RELEARN_MS = 10 * 60 * 1000;
+const INITIAL_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+/**
+ * Review state for a card that has never been graded
+ * @param {number} now - Timestamp in ms
+ * @returns {Object} - { ease, interval (days), reps, lapses, due, lastReviewed }
+ */
+export function createCardState(now = Date.now()) {
+  return { ease: INITIAL_EASE, interval: 0, reps: 0, lapses: 0, due: now, lastReviewed: null };
+}
+
+/**
+ * Schedule the next review after grading recall
+ * - Again: relearn in 10 minutes, reset repetitions, lower ease
+ * - Hard: short step (1 day, or interval x 1.2), lower ease slightly
+ * - Good: 1 day, 6 days, then interval x ease
+ * - Easy: Good x 1.3 (4 days for a new card), raise ease
+ *
+ * @param {Object|null} state - Current card state (null for a new card)
+ * @param {number} grade - One of GRADES
+ * @param {number} now - Timestamp in ms
+ * @returns {Object} - New card state
+ */
+export function schedule(state, grade, now = Date.now()) {
+  const card = { ...createCardState(now), ...state };
+
+  if (grade === GRADES.AGAIN) {
+    return {
+      ...card,
+      ease: Math.max(MIN_EASE, card.ease - 0.2),
+      interval: 0,
+      reps: 0,
+      lapses: card.lapses + 1,
+      due: now + RELEARN_MS,
+      lastReviewed: now
+    };
+  }
+
+  let interval;
+  let ease = card.ease;
+
+  if (grade === GRADES.HARD) {
+    interval = card.reps === 0 ? 1 : Math.max(card.interval + 1, Math.round(card.interval * 1.2));
+    ease = Math.max(MIN_EASE, ease - 0.15);
+  } else if (card.reps === 0) {
+    interval = grade === GRADES.EASY ? 4 : 1;
+  } else if (card.reps === 1) {
+    interval = grade === GRADES.EASY ? 8 : 6;
+  } else {
+    interval = Math.round(card.interval * ease * (grade === GRADES.EASY ? 1.3 : 1));
+    interval = Math.max(card.interval + 1, interval);
+  }
+
+  if (grade === GRADES.EASY) ease += 0.15;
+
+  return {
+    ...card,
+    ease,
+    interval,
+    reps: card.reps + 1,
+    due: now + interval * DAY_MS,
+    lastReviewed: now
+  };
+}
+
+/**
+ * Whether a card is due (new cards are always due)
+ * @param {Object|null|undefined} state - Card state
+ * @param {number} now - Timestamp in ms
+ * @returns {boolean}
+ */
+export function isDue(state, now = Date.now()) {
+  return !state || state.due <= now;
+}
+
+/**
+ * Due cards across saved words, most overdue first, new cards last
+ * @param {Array} records - Word list records
+ * @param {string[]} directions - Enabled card directions
+ * @param {number} now - Timestamp in ms
+ * @returns {Array<{record: Object, direction: string}>}
+ */
+export function getDueCards(records, directions = DIRECTIONS, now = Date.now()) {
+  const cards = [];
+
+  for (const record of records) {
+    for (const direction of directions) {
+      const state = record.review?.[direction];
+      if (isDue(state, now)) cards.push({ record, direction, due: state ? state.due : Infinity });
+    }
+  }
+
+  return cards
+    .sort((a, b) => (a.due === b.due ? 0 : a.due - b.due))
+    .map(({ record, direction }) => ({ record, direction }));
+}
+
+/**
+ * Number of due cards (for the toolbar popup)
+ * @param {Array} records - Word list records
+ * @param {string[]} directions - Enabled card directions
+ * @param {number} now - Timestamp in ms
+ * @returns {number}
+ */
+export function countDue(records, directions = DIRECTIONS, now = Date.now()) {
+  return getDueCards(records, directions, now).length;
+}
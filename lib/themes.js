@@ -0,0 +1,185 @@
+/**
+ * Popup themes - presets of CSS custom properties, set on the popup's shadow host
+ * styles.css holds the same presets as `:host([data-theme="..."])` rules for content.js;
+ * this module feeds the settings page editor and preview
+ */
+
+export const DEFAULT_THEME = 'neon';
+export const AUTO_THEME = 'auto'; // Neon or light, following prefers-color-scheme
+
+// Colors the editor exposes, in display order
+export const THEME_FIELDS = [
+  { property: '--mandopop-bg', label: 'Background' },
+  { property: '--mandopop-surface', label: 'Surface' },
+  { property: '--mandopop-border', label: 'Border' },
+  { property: '--mandopop-text', label: 'Text' },
+  { property: '--mandopop-secondary', label: 'Definitions' },
+  { property: '--mandopop-muted', label: 'Labels' },
+  { property: '--mandopop-chinese', label: 'Chinese' },
+  { property: '--mandopop-chinese-alt', label: 'Alt script' },
+  { property: '--mandopop-pinyin', label: 'Pinyin' },
+  { property: '--mandopop-alert', label: 'No result' },
+  { property: '--mandopop-star', label: 'Saved' }
+];
+
+export const FONT_PROPERTY = '--mandopop-font-family';
+
+export const FONT_FAMILIES = [
+  { label: 'Mono', value: "'SF Mono', 'Fira Code', 'Monaco', 'Consolas', monospace" },
+  { label: 'Sans', value: "system-ui, 'Segoe UI', 'Helvetica Neue', Arial, sans-serif" },
+  { label: 'Serif', value: "Georgia, 'Times New Roman', serif" }
+];
+
+// NOTE: Keep in sync with styles.css (tests/themes.test.js compares them)
+// --mandopop-glow is the opacity of the neon text glow; other themes turn it off
+export const THEMES = {
+  neon: {
+    label: 'Neon',
+    properties: {
+      '--mandopop-bg': '#0d0d0d',
+      '--mandopop-surface': '#1a1a1a',
+      '--mandopop-border': '#2a2a2a',
+      '--mandopop-text': '#e8e8e8',
+      '--mandopop-secondary': '#888888',
+      '--mandopop-muted': '#666666',
+      '--mandopop-chinese': '#00ff88',
+      '--mandopop-chinese-alt': '#00aa5c',
+      '--mandopop-pinyin': '#00d4ff',
+      '--mandopop-alert': '#ff0080',
+      '--mandopop-star': '#ffcc00',
+      '--mandopop-glow': '40%',
+      '--mandopop-shadow': 'rgba(0, 0, 0, 0.7)'
+    }
+  },
+  light: {
+    label: 'Light',
+    properties: {
+      '--mandopop-bg': '#ffffff',
+      '--mandopop-surface': '#f0f0f0',
+      '--mandopop-border': '#cccccc',
+      '--mandopop-text': '#1a1a1a',
+      '--mandopop-secondary': '#4d4d4d',
+      '--mandopop-muted': '#707070',
+      '--mandopop-chinese': '#00703c',
+      '--mandopop-chinese-alt': '#2f7a52',
+      '--mandopop-pinyin': '#005fb8',
+      '--mandopop-alert': '#c2185b',
+      '--mandopop-star': '#b07800',
+      '--mandopop-glow': '0%',
+      '--mandopop-shadow': 'rgba(0, 0, 0, 0.18)'
+    }
+  },
+  sepia: {
+    label: 'Sepia',
+    properties: {
+      '--mandopop-bg': '#f4ecd8',
+      '--mandopop-surface': '#e9dec3',
+      '--mandopop-border': '#cdbd98',
+      '--mandopop-text': '#3b2f1e',
+      '--mandopop-secondary': '#5a4a33',
+      '--mandopop-muted': '#76664c',
+      '--mandopop-chinese': '#8b2f14',
+      '--mandopop-chinese-alt': '#9c5a40',
+      '--mandopop-pinyin': '#2c5960',
+      '--mandopop-alert': '#a3283a',
+      '--mandopop-star': '#9a6b00',
+      '--mandopop-glow': '0%',
+      '--mandopop-shadow': 'rgba(59, 47, 30, 0.25)'
+    }
+  },
+  // WCAG AAA: every text color is at least 7:1 against the background (light and sepia: AA, 4.5:1)
+  contrast: {
+    label: 'High contrast',
+    properties: {
+      '--mandopop-bg': '#000000',
+      '--mandopop-surface': '#262626',
+      '--mandopop-border': '#8c8c8c',
+      '--mandopop-text': '#ffffff',
+      '--mandopop-secondary': '#ffffff',
+      '--mandopop-muted': '#d0d0d0',
+      '--mandopop-chinese': '#ffff00',
+      '--mandopop-chinese-alt': '#ffe680',
+      '--mandopop-pinyin': '#00ffff',
+      '--mandopop-alert': '#ff8ab8',
+      '--mandopop-star': '#ffff00',
+      '--mandopop-glow': '0%',
+      '--mandopop-shadow': 'rgba(0, 0, 0, 0.7)'
+    }
+  }
+};
+
+// Colors drawn as text (the star is an icon), rated by the editor
+export const TEXT_PROPERTIES = [
+  '--mandopop-text', '--mandopop-secondary', '--mandopop-muted', '--mandopop-chinese',
+  '--mandopop-chinese-alt', '--mandopop-pinyin', '--mandopop-alert'
+];
+
+/**
+ * Preset to use for a theme setting
+ * NOTE: Keep in sync with content.js resolveTheme
+ *
+ * @param {string} theme - Preset name or 'auto'
+ * @param {boolean} prefersDark - Whether the system prefers a dark color scheme
+ * @returns {string} - Preset name
+ */
+export function resolveTheme(theme, prefersDark) {
+  if (theme === AUTO_THEME) return prefersDark ? 'neon' : 'light';
+  return Object.hasOwn(THEMES, theme) ? theme : DEFAULT_THEME;
+}
+
+/**
+ * Keep only overrides of known properties (editor colors and font family)
+ * @param {Object} overrides - { [property]: value }
+ * @returns {Object}
+ */
+export function sanitizeOverrides(overrides) {
+  const allowed = new Set([...THEME_FIELDS.map(field => field.property), FONT_PROPERTY]);
+  return Object.fromEntries(
+    Object.entries(overrides || {}).filter(([property, value]) => allowed.has(property) && typeof value === 'string')
+  );
+}
+
+/**
+ * Custom properties for a theme setting with the user's overrides applied
+ * @param {string} theme - Preset name or 'auto'
+ * @param {Object} overrides - { [property]: value } from the editor
+ * @param {boolean} prefersDark
+ * @returns {Object} - { [property]: value }
+ */
+export function themeProperties(theme, overrides, prefersDark) {
+  return {
+    [FONT_PROPERTY]: FONT_FAMILIES[0].value,
+    ...THEMES[resolveTheme(theme, prefersDark)].properties,
+    ...sanitizeOverrides(overrides)
+  };
+}
+
+// Relative luminance of a #rrggbb color (WCAG 2.x)
+function luminance(hex) {
+  const channels = [1, 3, 5].map((i) => {
+    const value = parseInt(hex.slice(i, i + 2), 16) / 255;
+    return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * channels[0] + 0.7152 * channels[1] + 0.0722 * channels[2];
+}
+
+/**
+ * WCAG contrast ratio between two #rrggbb colors (1 to 21)
+ * @param {string} foreground
+ * @param {string} background
+ * @returns {number}
+ */
+export function contrastRatio(foreground, background) {
+  const [lighter, darker] = [luminance(foreground), luminance(background)].sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * Lowest contrast of the text colors against the background, for the editor's rating
+ * @param {Object} properties - Output of themeProperties
+ * @returns {number}
+ */
+export function minimumContrast(properties) {
+  const background = properties['--mandopop-bg'];
+  return Math.min(...TEXT_PROPERTIES.map(property => contrastRatio(properties[property], background)));
+}
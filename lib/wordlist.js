@@ -0,0 +1,52 @@
+/**
+ * Personal word list records - identity and merge logic
+ * Stored by background.js in the IndexedDB `words` store
+ */
+
+/**
+ * Stable id for a dictionary entry, so saving a word twice updates it
+ * NOTE: Keep in sync with content.js wordId
+ *
+ * @param {Object} entry - Dictionary entry ({ t, s, p, d })
+ * @returns {string} - Id built from Traditional, Simplified and pinyin
+ */
+export function wordId(entry) {
+  return `${entry.t || entry.s}|${entry.s || entry.t}|${entry.p}`;
+}
+
+/**
+ * Copy of an entry without per-lookup annotations (the matched English form and its sense)
+ * @param {Object} entry - Entry as returned by lookup
+ * @returns {Object} - Dictionary entry to store
+ */
+export function stripLookupFields(entry) {
+  const stored = { ...entry };
+  delete stored.match;
+  delete stored.sense;
+  delete stored.k;
+  return stored;
+}
+
+/**
+ * Build the record to store for a saved entry
+ * Re-saving keeps the original creation time and any fields this save lacks
+ *
+ * @param {Object} entry - Dictionary entry ({ t, s, p, d })
+ * @param {Object} context - Where the word was met ({ query, url, title, sentence })
+ * @param {Object|null} existing - Previously stored record with the same id
+ * @param {number} now - Timestamp in ms
+ * @returns {Object} - Record keyed by `id`
+ */
+export function createWordRecord(entry, context = {}, existing = null, now = Date.now()) {
+  return {
+    ...existing,
+    id: wordId(entry),
+    entry: { ...stripLookupFields(entry), t: entry.t || entry.s, s: entry.s || entry.t },
+    query: context.query || existing?.query || '',
+    url: context.url || existing?.url || '',
+    title: context.title || existing?.title || '',
+    sentence: context.sentence || existing?.sentence || '',
+    createdAt: existing?.createdAt || now,
+    updatedAt: now
+  };
+}
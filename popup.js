@@ -2,31 +2,329 @@
  * Mandopop Settings Popup
  */
 
+import { THEME_FIELDS, FONT_PROPERTY, FONT_FAMILIES, DEFAULT_THEME, themeProperties, sanitizeOverrides, minimumContrast } from './lib/themes.js';
+import { siteForUrl, normalizeSite, findSiteRule, isSiteEnabled, setSiteRule, removeSiteRule, toggleSite } from './lib/sites.js';
+
 document.addEventListener('DOMContentLoaded', async () => {
   const enabledToggle = document.getElementById('enabled');
   const showAudioToggle = document.getElementById('showAudio');
+  const chineseLookupToggle = document.getElementById('chineseLookup');
+  const hoverModeToggle = document.getElementById('hoverMode');
+  const hoverModifierSelect = document.getElementById('hoverModifier');
+  const scriptSelect = document.getElementById('script');
+  const levelExamSelect = document.getElementById('levelExam');
+  const targetLevelSelect = document.getElementById('targetLevel');
+  const levelDescription = document.getElementById('levelDescription');
+  const frequencyNote = document.getElementById('frequencyNote');
+  const triggerModeSelect = document.getElementById('triggerMode');
+  const triggerModifierSelect = document.getElementById('triggerModifier');
+  const triggerDelaySlider = document.getElementById('triggerDelay');
+  const triggerDelayValue = document.getElementById('triggerDelayValue');
   const fontSizeSlider = document.getElementById('fontSize');
   const fontSizeValue = document.getElementById('fontSizeValue');
   const previewChinese = document.getElementById('previewChinese');
+  const preview = document.getElementById('preview');
+  const themeSelect = document.getElementById('theme');
+  const themeColors = document.getElementById('themeColors');
+  const themeFont = document.getElementById('themeFont');
+  const resetThemeButton = document.getElementById('resetTheme');
+  const themeStatus = document.getElementById('themeStatus');
+  const dueCount = document.getElementById('dueCount');
+  const openReviewButton = document.getElementById('openReview');
+  const openHistoryButton = document.getElementById('openHistory');
+  const exchangeFormat = document.getElementById('exchangeFormat');
+  const exportButton = document.getElementById('exportWords');
+  const importButton = document.getElementById('importWords');
+  const importFile = document.getElementById('importFile');
+  const wordListStatus = document.getElementById('wordListStatus');
+  const currentSite = document.getElementById('currentSite');
+  const siteEnabledToggle = document.getElementById('siteEnabled');
+  const siteRuleList = document.getElementById('siteRuleList');
+  const siteRuleForm = document.getElementById('siteRuleForm');
+  const siteRuleInput = document.getElementById('siteRuleInput');
+  const siteRuleState = document.getElementById('siteRuleState');
 
   // Load current settings
-  const settings = await chrome.storage.sync.get(['enabled', 'showAudio', 'fontSize']);
+  const settings = await chrome.storage.sync.get(['enabled', 'showAudio', 'fontSize', 'script', 'chineseLookup', 'hoverMode', 'hoverModifier', 'levelExam', 'targetLevel', 'siteRules', 'triggerMode', 'triggerModifier', 'triggerDelay', 'theme', 'themeOverrides']);
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  const tabUrl = tab?.url || '';
+  let siteRules = settings.siteRules || [];
 
   enabledToggle.checked = settings.enabled !== false;
   showAudioToggle.checked = settings.showAudio !== false;
+  chineseLookupToggle.checked = settings.chineseLookup !== false;
+  hoverModeToggle.checked = settings.hoverMode === true;
+  hoverModifierSelect.value = settings.hoverModifier || 'alt';
+  scriptSelect.value = settings.script || 'traditional';
+  levelExamSelect.value = settings.levelExam || 'hsk';
+  targetLevelSelect.value = String(settings.targetLevel || 0);
+  triggerModeSelect.value = settings.triggerMode || 'always';
+  triggerModifierSelect.value = settings.triggerModifier || 'alt';
+  triggerModifierSelect.disabled = triggerModeSelect.value !== 'modifier';
+  triggerDelaySlider.value = settings.triggerDelay !== undefined ? settings.triggerDelay : 100;
+  triggerDelayValue.textContent = `${triggerDelaySlider.value}ms`;
   fontSizeSlider.value = settings.fontSize || 24;
   fontSizeValue.textContent = `${fontSizeSlider.value}px`;
   previewChinese.style.fontSize = `${fontSizeSlider.value}px`;
 
+  // Theme: preset, editor overrides and the live preview
+  const darkScheme = window.matchMedia('(prefers-color-scheme: dark)');
+  let themeOverrides = sanitizeOverrides(settings.themeOverrides);
+  themeSelect.value = settings.theme || DEFAULT_THEME;
+
+  const colorInputs = new Map();
+  for (const field of THEME_FIELDS) {
+    const label = document.createElement('label');
+    label.className = 'theme-color';
+    const name = document.createElement('span');
+    name.textContent = field.label;
+    const input = document.createElement('input');
+    input.type = 'color';
+
+    // Preview while dragging, save once the color is picked
+    input.addEventListener('input', () => {
+      themeOverrides[field.property] = input.value;
+      renderTheme();
+    });
+    input.addEventListener('change', saveThemeOverrides);
+
+    label.append(name, input);
+    themeColors.appendChild(label);
+    colorInputs.set(field.property, input);
+  }
+
+  for (const font of FONT_FAMILIES) {
+    const option = document.createElement('option');
+    option.value = font.value;
+    option.textContent = font.label;
+    themeFont.appendChild(option);
+  }
+
+  function renderTheme() {
+    const properties = themeProperties(themeSelect.value, themeOverrides, darkScheme.matches);
+    for (const [property, value] of Object.entries(properties)) {
+      preview.style.setProperty(property, value);
+    }
+    for (const [property, input] of colorInputs) {
+      input.value = properties[property];
+    }
+    themeFont.value = properties[FONT_PROPERTY];
+
+    const contrast = minimumContrast(properties);
+    const rating = contrast >= 7 ? 'AAA' : contrast >= 4.5 ? 'AA' : 'low';
+    themeStatus.textContent = `Lowest text contrast ${contrast.toFixed(1)}:1 (${rating})`;
+  }
+
+  function saveThemeOverrides() {
+    chrome.storage.sync.set({ themeOverrides });
+  }
+
+  renderTheme();
+  darkScheme.addEventListener('change', renderTheme);
+
+  // A new preset starts from its own colors
+  themeSelect.addEventListener('change', () => {
+    themeOverrides = {};
+    chrome.storage.sync.set({ theme: themeSelect.value, themeOverrides });
+    renderTheme();
+  });
+
+  themeFont.addEventListener('change', () => {
+    if (themeFont.value === FONT_FAMILIES[0].value) {
+      delete themeOverrides[FONT_PROPERTY];
+    } else {
+      themeOverrides[FONT_PROPERTY] = themeFont.value;
+    }
+    saveThemeOverrides();
+    renderTheme();
+  });
+
+  resetThemeButton.addEventListener('click', () => {
+    themeOverrides = {};
+    saveThemeOverrides();
+    renderTheme();
+  });
+
+  // Site rules: the active tab's toggle and the list editor
+  function saveSiteRules(rules) {
+    siteRules = rules;
+    chrome.storage.sync.set({ siteRules });
+    renderSiteRules();
+  }
+
+  function renderSiteRules() {
+    const site = siteForUrl(tabUrl);
+    siteEnabledToggle.disabled = !site;
+    if (site) {
+      const rule = findSiteRule(siteRules, tabUrl);
+      siteEnabledToggle.checked = isSiteEnabled(siteRules, tabUrl, enabledToggle.checked);
+      currentSite.textContent = rule ? `${site} (rule: ${rule.site})` : site;
+    }
+
+    siteRuleList.replaceChildren();
+    if (siteRules.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'site-rule-empty';
+      empty.textContent = 'No rules yet';
+      siteRuleList.appendChild(empty);
+      return;
+    }
+
+    for (const rule of siteRules) {
+      const item = document.createElement('li');
+      item.className = 'site-rule';
+
+      const name = document.createElement('span');
+      name.className = 'site-rule-site';
+      name.textContent = rule.site;
+      name.title = rule.site;
+
+      const state = document.createElement('span');
+      state.className = rule.enabled ? 'site-rule-state' : 'site-rule-state off';
+      state.textContent = rule.enabled ? 'on' : 'off';
+
+      const remove = document.createElement('button');
+      remove.className = 'button';
+      remove.textContent = '×';
+      remove.title = `Remove rule for ${rule.site}`;
+      remove.addEventListener('click', () => saveSiteRules(removeSiteRule(siteRules, rule.site)));
+
+      item.append(name, state, remove);
+      siteRuleList.appendChild(item);
+    }
+  }
+
+  renderSiteRules();
+
+  siteEnabledToggle.addEventListener('change', () => {
+    saveSiteRules(toggleSite(siteRules, tabUrl, siteEnabledToggle.checked, enabledToggle.checked));
+  });
+
+  siteRuleForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const site = normalizeSite(siteRuleInput.value);
+    if (!site) {
+      siteRuleInput.select();
+      return;
+    }
+
+    siteRuleInput.value = '';
+    saveSiteRules(setSiteRule(siteRules, site, siteRuleState.value === 'on'));
+  });
+
+  // Levels and frequency badges come from word lists the dictionary may have been built without
+  chrome.runtime.sendMessage({ type: 'getDictionaryFeatures' }).then((response) => {
+    frequencyNote.hidden = response?.result?.frequency !== false;
+
+    const levels = response?.result?.levels;
+    if (!levels) return;
+    for (const option of levelExamSelect.options) {
+      option.disabled = !levels.includes(option.value);
+    }
+    if (levels.length === 0) {
+      levelExamSelect.disabled = true;
+      targetLevelSelect.disabled = true;
+      levelDescription.textContent = 'Needs a dictionary built with HSK or TOCFL word lists';
+    }
+  });
+
+  // Cards due for review
+  chrome.runtime.sendMessage({ type: 'getDueCount' }).then((response) => {
+    const count = response?.result || 0;
+    dueCount.textContent = count === 1 ? '1 card due' : `${count} cards due`;
+  });
+
+  openReviewButton.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('review.html') });
+  });
+
+  openHistoryButton.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('history.html') });
+  });
+
+  // Word list export: download the file generated by the service worker
+  exportButton.addEventListener('click', async () => {
+    const response = await chrome.runtime.sendMessage({ type: 'exportWords', format: exchangeFormat.value });
+    const file = response?.result;
+    if (!file) {
+      wordListStatus.textContent = 'Export failed';
+      return;
+    }
+
+    const url = URL.createObjectURL(new Blob([file.text], { type: file.mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = file.filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    wordListStatus.textContent = `Exported ${file.count} words`;
+  });
+
+  // Word list import: merge a file into the saved words
+  importButton.addEventListener('click', () => importFile.click());
+
+  importFile.addEventListener('change', async () => {
+    const [file] = importFile.files;
+    if (!file) return;
+
+    const text = await file.text();
+    importFile.value = '';
+    const response = await chrome.runtime.sendMessage({ type: 'importWords', format: exchangeFormat.value, text });
+    const result = response?.result;
+    wordListStatus.textContent = result
+      ? `Imported ${result.added} new, ${result.updated} updated`
+      : 'Import failed';
+  });
+
   // Save on change
   enabledToggle.addEventListener('change', () => {
     chrome.storage.sync.set({ enabled: enabledToggle.checked });
+    renderSiteRules();
   });
 
   showAudioToggle.addEventListener('change', () => {
     chrome.storage.sync.set({ showAudio: showAudioToggle.checked });
   });
 
+  chineseLookupToggle.addEventListener('change', () => {
+    chrome.storage.sync.set({ chineseLookup: chineseLookupToggle.checked });
+  });
+
+  hoverModeToggle.addEventListener('change', () => {
+    chrome.storage.sync.set({ hoverMode: hoverModeToggle.checked });
+  });
+
+  hoverModifierSelect.addEventListener('change', () => {
+    chrome.storage.sync.set({ hoverModifier: hoverModifierSelect.value });
+  });
+
+  scriptSelect.addEventListener('change', () => {
+    chrome.storage.sync.set({ script: scriptSelect.value });
+  });
+
+  levelExamSelect.addEventListener('change', () => {
+    chrome.storage.sync.set({ levelExam: levelExamSelect.value });
+  });
+
+  targetLevelSelect.addEventListener('change', () => {
+    chrome.storage.sync.set({ targetLevel: parseInt(targetLevelSelect.value, 10) });
+  });
+
+  triggerModeSelect.addEventListener('change', () => {
+    triggerModifierSelect.disabled = triggerModeSelect.value !== 'modifier';
+    chrome.storage.sync.set({ triggerMode: triggerModeSelect.value });
+  });
+
+  triggerModifierSelect.addEventListener('change', () => {
+    chrome.storage.sync.set({ triggerModifier: triggerModifierSelect.value });
+  });
+
+  triggerDelaySlider.addEventListener('input', () => {
+    const delay = triggerDelaySlider.value;
+    triggerDelayValue.textContent = `${delay}ms`;
+    chrome.storage.sync.set({ triggerDelay: parseInt(delay, 10) });
+  });
+
   fontSizeSlider.addEventListener('input', () => {
     const size = fontSizeSlider.value;
     fontSizeValue.textContent = `${size}px`;
@@ -0,0 +1,176 @@
+/**
+ * Mandopop Review Page
+ * Drills saved words with spaced repetition (scheduling in lib/srs.js)
+ */
+
+import { DIRECTIONS, GRADES, getDueCards } from './lib/srs.js';
+
+const SPEECH_RATE = 0.85;
+
+const DIRECTION_LABELS = {
+  'en-zh': 'English → Chinese',
+  'zh-py': 'Chinese → pinyin',
+  'audio-en': 'Audio → meaning'
+};
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const directionInputs = [...document.querySelectorAll('.directions input')];
+  const card = document.getElementById('card');
+  const cardDirection = document.getElementById('cardDirection');
+  const prompt = document.getElementById('prompt');
+  const answer = document.getElementById('answer');
+  const revealActions = document.getElementById('revealActions');
+  const revealButton = document.getElementById('reveal');
+  const gradeActions = document.getElementById('gradeActions');
+  const remaining = document.getElementById('remaining');
+  const empty = document.getElementById('empty');
+
+  const settings = await chrome.storage.sync.get(['reviewDirections', 'script']);
+  let directions = settings.reviewDirections || DIRECTIONS;
+  const script = settings.script || 'traditional';
+
+  let queue = [];
+  let current = null;
+  let revealed = false;
+
+  for (const input of directionInputs) {
+    input.checked = directions.includes(input.value);
+    input.addEventListener('change', async () => {
+      directions = directionInputs.filter(i => i.checked).map(i => i.value);
+      await chrome.storage.sync.set({ reviewDirections: directions });
+      await loadQueue();
+    });
+  }
+
+  // Headword in the chosen script ("both" shows Traditional first)
+  function headword(entry) {
+    if (script === 'simplified') return entry.s;
+    if (script === 'both' && entry.s !== entry.t) return `${entry.t} ${entry.s}`;
+    return entry.t;
+  }
+
+  function speak(entry) {
+    if (!('speechSynthesis' in window)) return;
+    window.speechSynthesis.cancel();
+
+    const utterance = new SpeechSynthesisUtterance(script === 'simplified' ? entry.s : entry.t);
+    utterance.lang = 'zh-TW';
+    utterance.rate = SPEECH_RATE;
+
+    const voices = window.speechSynthesis.getVoices();
+    const voice = voices.find(v => v.lang === 'zh-TW') || voices.find(v => v.lang.startsWith('zh'));
+    if (voice) utterance.voice = voice;
+
+    window.speechSynthesis.speak(utterance);
+  }
+
+  function element(className, text) {
+    const el = document.createElement('div');
+    el.className = className;
+    el.textContent = text;
+    return el;
+  }
+
+  function definitions(entry) {
+    return element('definitions', entry.d.slice(0, 3).join('; '));
+  }
+
+  function playButton(entry) {
+    const btn = document.createElement('button');
+    btn.className = 'play';
+    btn.textContent = '🔊';
+    btn.title = 'Play again';
+    btn.addEventListener('click', () => speak(entry));
+    return btn;
+  }
+
+  // Front of the card for each direction
+  function renderPrompt({ record, direction }) {
+    const { entry } = record;
+    prompt.replaceChildren();
+
+    if (direction === 'en-zh') {
+      prompt.appendChild(definitions(entry));
+    } else if (direction === 'zh-py') {
+      prompt.appendChild(element('chinese', headword(entry)));
+    } else {
+      prompt.appendChild(playButton(entry));
+      speak(entry);
+    }
+  }
+
+  // Back of the card: everything, plus where the word was met
+  function renderAnswer({ record, direction }) {
+    const { entry } = record;
+    answer.replaceChildren();
+
+    if (direction !== 'zh-py') answer.appendChild(element('chinese', headword(entry)));
+    answer.appendChild(element('pinyin', entry.p));
+    if (direction !== 'en-zh') answer.appendChild(definitions(entry));
+    if (record.sentence) answer.appendChild(element('sentence', record.sentence));
+  }
+
+  function showCard() {
+    remaining.textContent = queue.length > 0 ? `${queue.length} due` : '';
+    current = queue[0] || null;
+    revealed = false;
+
+    card.hidden = !current;
+    empty.hidden = Boolean(current);
+    if (!current) return;
+
+    cardDirection.textContent = DIRECTION_LABELS[current.direction];
+    renderPrompt(current);
+    answer.hidden = true;
+    revealActions.hidden = false;
+    gradeActions.hidden = true;
+  }
+
+  function reveal() {
+    if (!current || revealed) return;
+    revealed = true;
+    renderAnswer(current);
+    answer.hidden = false;
+    revealActions.hidden = true;
+    gradeActions.hidden = false;
+    if (current.direction !== 'audio-en') speak(current.record.entry);
+  }
+
+  async function grade(value) {
+    if (!current || !revealed) return;
+    const { record, direction } = current;
+    revealed = false; // Ignore repeat key presses while saving
+
+    const response = await chrome.runtime.sendMessage({ type: 'reviewWord', id: record.id, direction, grade: value });
+    queue.shift();
+
+    // Failed cards come back at the end of this session
+    const updated = response?.result;
+    if (value === GRADES.AGAIN && updated) queue.push({ record: updated, direction });
+
+    showCard();
+  }
+
+  async function loadQueue() {
+    const response = await chrome.runtime.sendMessage({ type: 'getWords' });
+    queue = getDueCards(response?.result || [], directions);
+    showCard();
+  }
+
+  revealButton.addEventListener('click', reveal);
+  for (const btn of gradeActions.querySelectorAll('button')) {
+    btn.addEventListener('click', () => grade(parseInt(btn.dataset.grade, 10)));
+  }
+
+  document.addEventListener('keydown', (event) => {
+    if (event.target instanceof HTMLInputElement) return;
+    if (event.key === ' ' || event.key === 'Enter') {
+      event.preventDefault();
+      reveal();
+    } else if (['1', '2', '3', '4'].includes(event.key)) {
+      grade(parseInt(event.key, 10) - 1);
+    }
+  });
+
+  await loadQueue();
+});
@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+/**
+ * Measure lookup latency (cold start and warm) and memory: whole-JSON dictionary vs shard packs
+ *
+ * Usage: node scripts/benchmark_dictionary.js
+ * Needs cedict_en.pack and cedict_zh.pack (node scripts/preprocess_cedict.cjs).
+ *
+ * Each scenario runs in a fresh Node process, like a service worker cold start:
+ * - whole: read one JSON file per index and parse it all (the old cedict.json layout)
+ * - shards: read and parse only the shards the lookups need, as background.js does;
+ *   a positional file read stands in for the IndexedDB get of one shard
+ * The same lookups are then repeated WARM_ROUNDS times with everything loaded, like
+ * later lookups in a running worker (background.js keeps parsed shards cached)
+ */
+
+import { execFileSync } from 'node:child_process';
+import { closeSync, mkdtempSync, openSync, readFileSync, readSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { lookup } from '../lib/normalize.js';
+import { lookupChinese } from '../lib/chinese.js';
+import { englishCandidates, englishShard, headwordShard, headwordCandidates, sliceIndex, missingAliasTargets, unpackShards } from '../lib/shards.js';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const PACKS = { en: path.join(ROOT, 'cedict_en.pack'), zh: path.join(ROOT, 'cedict_zh.pack') };
+const QUERIES = { en: ['bank', 'running', 'ice cream'], zh: ['銀行卡', '我喜歡喝茶'] };
+const WARM_ROUNDS = 20;
+
+const elapsed = (start) => Number(process.hrtime.bigint() - start) / 1e6;
+
+// Header of a pack and the byte offset its shards start at
+function readHeader(fd) {
+  const buffer = Buffer.alloc(1 << 20);
+  const bytes = readSync(fd, buffer, 0, buffer.length, 0);
+  const end = buffer.subarray(0, bytes).indexOf(0x0a);
+  return { shards: JSON.parse(buffer.subarray(0, end).toString()).shards, bodyStart: end + 1 };
+}
+
+function runWhole(files) {
+  const start = process.hrtime.bigint();
+  const dictionary = JSON.parse(readFileSync(files.en, 'utf8'));
+  const headwords = JSON.parse(readFileSync(files.zh, 'utf8'));
+  const loadMs = elapsed(start);
+
+  const lookupAll = () => [...QUERIES.en.map(q => lookup(q, dictionary)), ...QUERIES.zh.map(q => lookupChinese(q, headwords))];
+  const results = lookupAll();
+  return { loadMs, totalMs: elapsed(start), found: results.filter(Boolean).length, warmMs: warmLookupMs(lookupAll) };
+}
+
+function runShards() {
+  const start = process.hrtime.bigint();
+  const fds = { en: openSync(PACKS.en, 'r'), zh: openSync(PACKS.zh, 'r') };
+  const headers = { en: readHeader(fds.en), zh: readHeader(fds.zh) };
+  const loaded = new Map();
+
+  const shard = (pack, id) => {
+    const key = `${pack}:${id}`;
+    if (!loaded.has(key)) {
+      const location = headers[pack].shards[id];
+      let parsed = {};
+      if (location) {
+        const buffer = Buffer.alloc(location[1]);
+        readSync(fds[pack], buffer, 0, location[1], headers[pack].bodyStart + location[0]);
+        parsed = JSON.parse(buffer.toString());
+      }
+      loaded.set(key, parsed);
+    }
+    return loaded.get(key);
+  };
+
+  const lookupAll = () => {
+    const results = [];
+    for (const query of QUERIES.en) {
+      const keys = englishCandidates(query);
+      results.push(lookup(query, sliceIndex(keys, key => shard('en', englishShard(key)))));
+    }
+    for (const query of QUERIES.zh) {
+      const words = headwordCandidates(query);
+      const slice = sliceIndex(words, word => shard('zh', headwordShard(word)));
+      const targets = missingAliasTargets(slice);
+      Object.assign(slice, sliceIndex(targets, word => shard('zh', headwordShard(word))));
+      results.push(lookupChinese(query, slice));
+    }
+    return results;
+  };
+  const results = lookupAll();
+  const totalMs = elapsed(start);
+  const warmMs = warmLookupMs(lookupAll);
+
+  closeSync(fds.en);
+  closeSync(fds.zh);
+  return { loadMs: null, totalMs, found: results.filter(Boolean).length, shardsParsed: loaded.size, warmMs };
+}
+
+// Mean time of one lookup once its data is loaded
+function warmLookupMs(lookupAll) {
+  const start = process.hrtime.bigint();
+  for (let round = 0; round < WARM_ROUNDS; round++) lookupAll();
+  return elapsed(start) / (WARM_ROUNDS * (QUERIES.en.length + QUERIES.zh.length));
+}
+
+// Child process: run one scenario and print its numbers
+function child(scenario, files) {
+  const result = scenario === 'whole' ? runWhole(files) : runShards();
+  const memory = process.memoryUsage();
+  console.log(JSON.stringify({
+    ...result,
+    heapMB: memory.heapUsed / 2 ** 20,
+    peakRssMB: process.resourceUsage().maxRSS / 1024
+  }));
+}
+
+// Parent: write the whole-JSON files from the packs, then time each scenario
+function main() {
+  const dir = mkdtempSync(path.join(tmpdir(), 'mandopop-bench-'));
+  const files = { en: path.join(dir, 'cedict.json'), zh: path.join(dir, 'cedict_zh.json') };
+
+  try {
+    for (const pack of ['en', 'zh']) {
+      const index = {};
+      for (const [, json] of unpackShards(new Uint8Array(readFileSync(PACKS[pack])))) {
+        Object.assign(index, JSON.parse(json));
+      }
+      writeFileSync(files[pack], JSON.stringify(index));
+    }
+
+    const script = fileURLToPath(import.meta.url);
+    for (const scenario of ['whole', 'shards']) {
+      const output = execFileSync(process.execPath, [script, scenario, files.en, files.zh], { encoding: 'utf8' });
+      const result = JSON.parse(output);
+      const load = result.loadMs === null ? '' : `, parse ${result.loadMs.toFixed(1)} ms`;
+      const shards = result.shardsParsed ? `, ${result.shardsParsed} shards parsed` : '';
+      console.log(`${scenario.padEnd(6)} first ${QUERIES.en.length + QUERIES.zh.length} lookups ${result.totalMs.toFixed(1)} ms${load}${shards}; ` +
+        `warm ${result.warmMs.toFixed(2)} ms per lookup; ` +
+        `heap ${result.heapMB.toFixed(1)} MB, peak RSS ${result.peakRssMB.toFixed(1)} MB (${result.found} found)`);
+    }
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+if (process.argv[2]) {
+  child(process.argv[2], { en: process.argv[3], zh: process.argv[4] });
+} else {
+  main();
+}
@@ -1,11 +1,30 @@
 #!/usr/bin/env node
 /**
- * Preprocess CC-CEDICT dictionary into JSON format keyed by English words
+ * Preprocess CC-CEDICT dictionary into sharded indexes keyed by English words
  *
  * Input format: Traditional Simplified [pinyin] /definition1/definition2/
- * Output: { "english_word": [{ simplified, pinyin, definitions }], ... }
+ * Output: cedict_en.pack - { "english_word": [{ traditional, simplified, pinyin, definitions,
+ *           frequency band, level, classifiers, variant-of and see-also references,
+ *           index of the definition the key came from }], ... }
+ *         cedict_zh.pack - headword index for Chinese → English lookup:
+ *           { "simplified": [entries], "traditional": "simplified" (alias), ... }
+ *         cedict_fuzzy.pack - single-word English keys by length with a trigram
+ *           index, for "did you mean" suggestions (read by lib/fuzzy.js)
+ *         Each index is split into shards by key prefix and packed as one JSON header
+ *         line ({ version, shards: { id: [offset, length, hash] }, features }) followed by the
+ *         shards' JSON (layout read by lib/shards.js). Hashes are of the content, so
+ *         the extension re-installs a regenerated dictionary and can verify its cache.
+ *         The English pack's features record the exam lists it was built with
+ *         ({ levels: ['hsk', 'tocfl'], frequency: true }), so the popup can tell when
+ *         levels or frequency badges are missing
+ *
+ * Usage: node scripts/preprocess_cedict.cjs [word_frequency.txt]
+ * The optional frequency list (SUBTLEX-CH-WF, a Taiwan corpus list, or any
+ * "word<TAB>count" / one-word-per-line ranked file) drives entry ranking.
+ * HSK and TOCFL word lists in data/ are joined onto entries as levels.
  */
 
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 
@@ -112,16 +131,213 @@ function extractPhrases(definition) {
   return [cleaned];
 }
 
-// Main processing
-function processDict() {
+// Exam word lists in data/: "word<TAB>level[<TAB>numbered pinyin]" per line
+// NOTE: Keep exam names and level numbering in sync with lib/levels.js
+const LEVEL_LISTS = [
+  { exam: 'hsk', file: 'hsk.tsv', script: 's' },     // HSK 3.0, Simplified
+  { exam: 'tocfl', file: 'tocfl.tsv', script: 't' }  // TOCFL, Traditional
+];
+
+// Tone-marked pinyin compared without spaces or case ("Yín háng" = "yínháng")
+function comparablePinyin(pinyin) {
+  return pinyin.toLowerCase().replace(/\s+/g, '');
+}
+
+// Load an exam list into word → [{ level, pinyin }]; "7-9" style ranges keep their lower bound
+function loadLevelList(filePath) {
+  const levels = new Map();
+
+  for (const line of fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '').split(/\r?\n/)) {
+    if (!line.trim() || line.startsWith('#')) continue;
+
+    const [word, levelRaw, pinyinRaw] = line.split('\t').map(field => (field || '').trim());
+    const level = parseInt(levelRaw, 10);
+    if (!word || !Number.isInteger(level)) continue;
+
+    const syllables = (pinyinRaw || '').replace(/([1-5])(?=[a-zü])/gi, '$1 ');
+    const pinyin = syllables ? comparablePinyin(numberedToToneMarks(syllables)) : null;
+    if (!levels.has(word)) levels.set(word, []);
+    levels.get(word).push({ level, pinyin });
+  }
+
+  return levels;
+}
+
+// Lowest level an entry appears at on a list (readings must match when the list gives pinyin)
+function entryLevel(entry, list, script) {
+  const matches = (list.get(entry[script]) || [])
+    .filter(item => !item.pinyin || item.pinyin === comparablePinyin(entry.p))
+    .map(item => item.level);
+  return matches.length > 0 ? Math.min(...matches) : null;
+}
+
+// Add an entry under a headword, deduplicating by both forms + pinyin
+function addToHeadwordIndex(index, key, entry) {
+  const existing = index[key];
+  if (Array.isArray(existing)) {
+    if (!existing.some(e => e.t === entry.t && e.s === entry.s && e.p === entry.p)) existing.push(entry);
+  } else {
+    index[key] = [entry];
+  }
+}
+
+// Build Chinese headword index: arrays under simplified keys, and string
+// aliases for traditional forms that differ (resolved by lib/chinese.js)
+function buildHeadwordIndex(entries) {
+  const index = {};
+
+  for (const entry of entries) {
+    addToHeadwordIndex(index, entry.s, entry);
+  }
+
+  for (const entry of entries) {
+    if (entry.t === entry.s) continue;
+
+    const existing = index[entry.t];
+    if (existing === undefined) {
+      index[entry.t] = entry.s;
+    } else if (typeof existing === 'string' && existing !== entry.s) {
+      // One traditional form, several simplified headwords: materialize
+      index[entry.t] = index[existing].filter(e => e.t === entry.t);
+      addToHeadwordIndex(index, entry.t, entry);
+    } else if (Array.isArray(existing)) {
+      addToHeadwordIndex(index, entry.t, entry);
+    }
+  }
+
+  // Surnames, variants and proper nouns go after everyday senses
+  const isSecondary = (e) => e.d.every(d => /^(surname |(old )?variant of |see )/.test(d)) || /^[A-Z]/.test(e.p);
+  for (const key in index) {
+    if (Array.isArray(index[key])) {
+      index[key].sort((a, b) => isSecondary(a) - isSecondary(b));
+    }
+  }
+
+  return index;
+}
+
+// Shard of an English key: first two characters, non-letters as "_"
+// NOTE: Keep in sync with lib/shards.js englishShard
+function englishShard(key) {
+  return key.slice(0, 2).padEnd(2, '_').replace(/[^a-z]/g, '_');
+}
+
+// Shard of a Chinese headword: first character's code point, bucketed
+// NOTE: Keep in sync with lib/shards.js headwordShard / HEADWORD_SHARD_COUNT
+const HEADWORD_SHARD_COUNT = 256;
+function headwordShard(word) {
+  return String(word.codePointAt(0) % HEADWORD_SHARD_COUNT);
+}
+
+// Content hash of a shard or a pack's shards: SHA-256, hex, shortened
+// NOTE: Keep in sync with lib/shards.js contentHash / HASH_LENGTH
+const HASH_LENGTH = 16;
+function contentHash(bytes) {
+  return crypto.createHash('sha256').update(bytes).digest('hex').slice(0, HASH_LENGTH);
+}
+
+// Split an index into shards: { shard id: { key: value } }
+function splitIndex(index, shardOf) {
+  const shards = {};
+  for (const key of Object.keys(index)) {
+    const id = shardOf(key);
+    (shards[id] ||= {})[key] = index[key];
+  }
+  return shards;
+}
+
+// Distinct trigrams of a word, padded so its start and end count
+// NOTE: Keep in sync with lib/fuzzy.js trigrams
+function trigrams(word) {
+  const padded = `$$${word}$$`;
+  const grams = new Set();
+  for (let i = 0; i + 3 <= padded.length; i++) {
+    grams.add(padded.slice(i, i + 3));
+  }
+  return [...grams];
+}
+
+// Shard of the fuzzy index holding keys of a length
+// NOTE: Keep in sync with lib/fuzzy.js fuzzyShard
+function fuzzyShard(length) {
+  return String(length);
+}
+
+// Fuzzy index for "did you mean": single-word keys by length, most common first,
+// each shard { words, bands (frequency band per word), grams: { trigram: [word index] } }
+function buildFuzzyShards(dict, bandOf) {
+  const keys = Object.keys(dict)
+    .filter(key => !key.includes(' '))
+    .sort((a, b) => bandOf(a) - bandOf(b) || a.localeCompare(b));
+
+  const shards = {};
+  for (const key of keys) {
+    const shard = (shards[fuzzyShard(key.length)] ||= { words: [], bands: [], grams: {} });
+    const index = shard.words.length;
+    shard.words.push(key);
+    shard.bands.push(bandOf(key));
+    for (const gram of trigrams(key)) {
+      (shard.grams[gram] ||= []).push(index);
+    }
+  }
+  return shards;
+}
+
+// Write shards as a pack, with optional features in the header; returns the shard count
+function writePack(filePath, shards, features) {
+  const header = { version: null, shards: {}, ...(features && { features }) };
+  const bodies = [];
+  let offset = 0;
+  for (const id of Object.keys(shards).sort()) {
+    const body = Buffer.from(JSON.stringify(shards[id]));
+    header.shards[id] = [offset, body.length, contentHash(body)];
+    bodies.push(body);
+    offset += body.length;
+  }
+  header.version = contentHash(Buffer.concat(bodies));
+
+  fs.writeFileSync(filePath, Buffer.concat([Buffer.from(`${JSON.stringify(header)}\n`), ...bodies]));
+  return bodies.length;
+}
+
+// Main processing; definition parsing and entry ranking are shared with the
+// extension's tests through lib/definitions.js and lib/frequency.js, ES modules
+async function processDict() {
+  const { parseDefinitions } = await import('../lib/definitions.js');
+  const { parseFrequencyRanks, frequencyRank, frequencyBand, relevanceBand, rankEntries } = await import('../lib/frequency.js');
+
   const inputPath = path.join(__dirname, '..', 'cedict_ts.u8');
-  const outputPath = path.join(__dirname, '..', 'cedict.json');
+  const frequencyPath = process.argv[2] || path.join(__dirname, '..', 'word_frequency.txt');
+  const outputPath = path.join(__dirname, '..', 'cedict_en.pack');
+  const headwordOutputPath = path.join(__dirname, '..', 'cedict_zh.pack');
+  const fuzzyOutputPath = path.join(__dirname, '..', 'cedict_fuzzy.pack');
 
   const content = fs.readFileSync(inputPath, 'utf8');
   const lines = content.split('\n');
 
+  const levelLists = [];
+  for (const { exam, file, script } of LEVEL_LISTS) {
+    const listPath = path.join(__dirname, '..', 'data', file);
+    if (!fs.existsSync(listPath)) {
+      console.warn(`No ${exam.toUpperCase()} word list at data/${file}; entries get no ${exam} level badge or target-level ranking (see data/README.md)`);
+      continue;
+    }
+    const list = loadLevelList(listPath);
+    levelLists.push({ exam, list, script });
+    console.log(`Loaded ${list.size} ${exam.toUpperCase()} words from data/${file}`);
+  }
+
+  const frequencyRanks = fs.existsSync(frequencyPath) ? parseFrequencyRanks(fs.readFileSync(frequencyPath, 'utf8')) : null;
+  if (frequencyRanks) {
+    console.log(`Loaded ${frequencyRanks.size} word frequencies from ${path.basename(frequencyPath)}`);
+  } else {
+    console.warn('No word frequency list found; ranking falls back to the built-in common words');
+  }
+
   // Dictionary keyed by English words
   const dict = {};
+  const allEntries = [];
+  const keySenses = new Map(); // "key|simplified|pinyin" → definition index
   let entryCount = 0;
 
   for (const line of lines) {
@@ -132,19 +348,34 @@ function processDict() {
     const match = line.match(/^(\S+)\s+(\S+)\s+\[([^\]]+)\]\s+\/(.+)\/\s*$/);
     if (!match) continue;
 
-    const [, , simplified, pinyinRaw, definitionsRaw] = match;
+    const [, traditional, simplified, pinyinRaw, definitionsRaw] = match;
     const pinyin = numberedToToneMarks(pinyinRaw);
-    const definitions = definitionsRaw.split('/').filter(d => d.trim());
+    const { d: definitions, c, v, x } = parseDefinitions(definitionsRaw.split('/').filter(d => d.trim()));
 
     // Create entry object
     const entry = {
+      t: traditional,     // traditional Chinese
       s: simplified,      // simplified Chinese
       p: pinyin,          // pinyin with tone marks
-      d: definitions      // definitions array
+      d: definitions      // definitions array (structured ones moved below)
     };
+    if (c) entry.c = c;   // classifiers [{ t, s, p }]
+    if (v) entry.v = v;   // variant of [{ t, s, p, l: label }]
+    if (x) entry.x = x;   // see also [{ t, s, p }]
+    if (frequencyRanks) {
+      entry.f = frequencyBand(frequencyRank(entry, frequencyRanks));  // frequency band, 1 = most common
+    }
+    for (const { exam, list, script } of levelLists) {
+      const level = entryLevel(entry, list, script);
+      if (level !== null) {
+        entry.l = { ...entry.l, [exam]: level };  // exam levels, e.g. { hsk: 1, tocfl: 2 }
+      }
+    }
+    allEntries.push(entry);
 
-    // Index by each meaningful English word in definitions
-    for (const def of definitions) {
+    // Index by each meaningful English word in definitions, remembering
+    // which definition (sense) each key was first found in
+    definitions.forEach((def, senseIndex) => {
       const words = extractEnglishWords(def);
       for (const word of words) {
         if (!dict[word]) {
@@ -154,6 +385,7 @@ function processDict() {
         const exists = dict[word].some(e => e.s === entry.s && e.p === entry.p);
         if (!exists) {
           dict[word].push(entry);
+          keySenses.set(`${word}|${entry.s}|${entry.p}`, senseIndex);
         }
       }
 
@@ -166,51 +398,34 @@ function processDict() {
         const exists = dict[phrase].some(e => e.s === entry.s && e.p === entry.p);
         if (!exists) {
           dict[phrase].push(entry);
+          keySenses.set(`${phrase}|${entry.s}|${entry.p}`, senseIndex);
         }
       }
-    }
+    });
 
     entryCount++;
   }
 
-  // Common words that should be prioritized in lookups
-  const commonWords = new Set([
-    '的', '是', '不', '了', '在', '有', '人', '这', '我', '他',
-    '你好', '谢谢', '再见', '对不起', '没关系', '请', '好', '是的', '不是',
-    '银行', '电脑', '手机', '汽车', '飞机', '火车', '地铁', '公共汽车',
-    '学校', '医院', '餐厅', '商店', '超市', '机场', '车站',
-    '吃', '喝', '看', '听', '说', '读', '写', '走', '跑', '来', '去',
-    '大', '小', '多', '少', '高', '低', '长', '短', '新', '旧',
-    '钱', '时间', '工作', '学习', '朋友', '家', '书', '水', '茶', '咖啡'
-  ]);
-
-  // Sort entries by relevance
   for (const word in dict) {
-    dict[word].sort((a, b) => {
-      // Prioritize common words
-      const aCommon = commonWords.has(a.s) ? 0 : 1;
-      const bCommon = commonWords.has(b.s) ? 0 : 1;
-      if (aCommon !== bCommon) return aCommon - bCommon;
-
-      // Shorter definitions often mean primary meaning
-      const aDefLen = a.d.reduce((sum, d) => sum + d.length, 0);
-      const bDefLen = b.d.reduce((sum, d) => sum + d.length, 0);
-
-      // Prefer 2-character words (most common in Chinese)
-      const aLen = a.s.length === 2 ? 0 : a.s.length === 1 ? 1 : 2;
-      const bLen = b.s.length === 2 ? 0 : b.s.length === 1 ? 1 : 2;
-      if (aLen !== bLen) return aLen - bLen;
-
-      return aDefLen - bDefLen;
-    });
+    dict[word] = rankEntries(dict[word], word, frequencyRanks);
     // Limit to top 10 entries per word to reduce file size
     if (dict[word].length > 10) {
       dict[word] = dict[word].slice(0, 10);
     }
+
+    // Sense per key: index in d of the definition the key came from (lib/senses.js)
+    dict[word] = dict[word].map(e => ({ ...e, k: keySenses.get(`${word}|${e.s}|${e.p}`) }));
   }
 
   // Write output
-  fs.writeFileSync(outputPath, JSON.stringify(dict));
+  const features = { levels: levelLists.map(({ exam }) => exam), frequency: Boolean(frequencyRanks) };
+  const shardCount = writePack(outputPath, splitIndex(dict, englishShard), features);
+
+  const headwordIndex = buildHeadwordIndex(allEntries);
+  const headwordShardCount = writePack(headwordOutputPath, splitIndex(headwordIndex, headwordShard));
+
+  // A key ranks by the band of its top entry
+  const fuzzyShardCount = writePack(fuzzyOutputPath, buildFuzzyShards(dict, key => relevanceBand(dict[key][0])));
 
   const allKeys = Object.keys(dict);
   const phraseKeys = allKeys.filter(k => k.includes(' ')).length;
@@ -218,12 +433,19 @@ function processDict() {
     entries: entryCount,
     words: allKeys.length,
     phrases: phraseKeys,
-    sizeKB: Math.round(fs.statSync(outputPath).size / 1024)
+    headwords: Object.keys(headwordIndex).length,
+    shards: shardCount,
+    headwordShards: headwordShardCount,
+    fuzzyShards: fuzzyShardCount,
+    sizeKB: Math.round(fs.statSync(outputPath).size / 1024),
+    headwordSizeKB: Math.round(fs.statSync(headwordOutputPath).size / 1024),
+    fuzzySizeKB: Math.round(fs.statSync(fuzzyOutputPath).size / 1024)
   };
 
   console.log(`Processed ${stats.entries} dictionary entries`);
   console.log(`Created index with ${stats.words} keys (${stats.phrases} phrase keys)`);
-  console.log(`Output file size: ${stats.sizeKB} KB`);
+  console.log(`Created headword index with ${stats.headwords} keys`);
+  console.log(`Output file size: ${stats.sizeKB} KB in ${stats.shards} shards (headwords: ${stats.headwordSizeKB} KB in ${stats.headwordShards} shards, fuzzy index: ${stats.fuzzySizeKB} KB in ${stats.fuzzyShards} shards)`);
 }
 
 processDict();
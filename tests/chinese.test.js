@@ -0,0 +1,136 @@
+import { describe, it, expect } from 'vitest';
+import { getHeadwordEntries, longestHeadwordAt, segment, lookupChinese, lookupHeadword } from '../lib/chinese.js';
+
+// Mirrors the shape written by scripts/preprocess_cedict.cjs
+const bank = { t: '銀行', s: '银行', p: 'yín háng', d: ['bank'] };
+const dry = { t: '乾', s: '干', p: 'gān', d: ['dry'] };
+const doWork = { t: '幹', s: '干', p: 'gàn', d: ['to do'] };
+const card = { t: '卡', s: '卡', p: 'kǎ', d: ['card'] };
+const silver = { t: '銀', s: '银', p: 'yín', d: ['silver'] };
+const walk = { t: '行', s: '行', p: 'xíng', d: ['to walk'] };
+const china = { t: '中國', s: '中国', p: 'Zhōng guó', d: ['China'] };
+const middle = { t: '中', s: '中', p: 'zhōng', d: ['within'] };
+const person = { t: '人', s: '人', p: 'rén', d: ['person'] };
+const chinese = { t: '中國人', s: '中国人', p: 'Zhōng guó rén', d: ['Chinese person'] };
+
+const mockIndex = {
+  '银行': [bank],
+  '干': [dry, doWork],
+  '卡': [card],
+  '银': [silver],
+  '行': [walk],
+  '中国': [china],
+  '中': [middle],
+  '人': [person],
+  '中国人': [chinese],
+  '銀行': '银行',
+  '乾': '干',
+  '幹': '干',
+  '銀': '银',
+  '中國': '中国',
+  '中國人': '中国人',
+};
+
+describe('getHeadwordEntries', () => {
+  it('returns entries for a Simplified headword', () => {
+    expect(getHeadwordEntries(mockIndex, '银行')).toEqual([bank]);
+  });
+
+  it('resolves a Traditional alias to its Simplified entries', () => {
+    expect(getHeadwordEntries(mockIndex, '銀行')).toEqual([bank]);
+  });
+
+  it('keeps only entries matching the Traditional form of an alias', () => {
+    expect(getHeadwordEntries(mockIndex, '乾')).toEqual([dry]);
+    expect(getHeadwordEntries(mockIndex, '幹')).toEqual([doWork]);
+  });
+
+  it('returns every reading for an ambiguous Simplified headword', () => {
+    expect(getHeadwordEntries(mockIndex, '干')).toEqual([dry, doWork]);
+  });
+
+  it('returns null for unknown words', () => {
+    expect(getHeadwordEntries(mockIndex, '貓')).toBeNull();
+  });
+
+  it('ignores inherited object properties', () => {
+    expect(getHeadwordEntries(mockIndex, 'constructor')).toBeNull();
+  });
+
+  it('returns null when index is null', () => {
+    expect(getHeadwordEntries(null, '银行')).toBeNull();
+  });
+});
+
+describe('longestHeadwordAt', () => {
+  it('prefers the longest match', () => {
+    expect(longestHeadwordAt('中國人', 0, mockIndex)).toBe('中國人');
+  });
+
+  it('matches from the given position', () => {
+    expect(longestHeadwordAt('銀行卡', 2, mockIndex)).toBe('卡');
+  });
+
+  it('returns null when no headword starts there', () => {
+    expect(longestHeadwordAt('，卡', 0, mockIndex)).toBeNull();
+  });
+});
+
+describe('segment', () => {
+  it('splits text into longest matching words', () => {
+    expect(segment('銀行卡', mockIndex)).toEqual(['銀行', '卡']);
+  });
+
+  it('handles Simplified text', () => {
+    expect(segment('中国人银行', mockIndex)).toEqual(['中国人', '银行']);
+  });
+
+  it('skips punctuation and Latin characters', () => {
+    expect(segment('銀行，ATM 卡', mockIndex)).toEqual(['銀行', '卡']);
+  });
+
+  it('returns an empty array for unknown text', () => {
+    expect(segment('貓貓', mockIndex)).toEqual([]);
+  });
+});
+
+describe('lookupChinese', () => {
+  it('returns one segment per word with its entries', () => {
+    const result = lookupChinese('銀行卡', mockIndex);
+    expect(result).toEqual([
+      { word: '銀行', entries: [bank] },
+      { word: '卡', entries: [card] },
+    ]);
+  });
+
+  it('trims surrounding whitespace', () => {
+    const result = lookupChinese('  卡 ', mockIndex);
+    expect(result).toEqual([{ word: '卡', entries: [card] }]);
+  });
+
+  it('returns null when nothing matches', () => {
+    expect(lookupChinese('貓', mockIndex)).toBeNull();
+  });
+
+  it('returns null for empty input', () => {
+    expect(lookupChinese('', mockIndex)).toBeNull();
+  });
+
+  it('returns null when index is null', () => {
+    expect(lookupChinese('銀行', null)).toBeNull();
+  });
+});
+
+describe('lookupHeadword', () => {
+  it('returns the longest word at the start of the text', () => {
+    expect(lookupHeadword('銀行卡很好', mockIndex)).toEqual({ word: '銀行', entries: [bank] });
+  });
+
+  it('does not skip an unknown first character', () => {
+    expect(lookupHeadword('貓卡', mockIndex)).toBeNull();
+  });
+
+  it('returns null for empty input', () => {
+    expect(lookupHeadword('', mockIndex)).toBeNull();
+  });
+});
@@ -6,10 +6,14 @@ import { describe, it, expect } from 'vitest';
  */
 
 // Selection validation logic (extracted from content.js doSelection)
-function isValidSelection(text) {
+function isValidSelection(text, source = 'selection') {
   const MAX_SELECTION_LENGTH = 100;
+  const MAX_GLOSS_SELECTION_LENGTH = 2000;
 
-  if (!text || text.length === 0 || text.length > MAX_SELECTION_LENGTH) {
+  const explicit = source !== 'selection';
+  const chinese = /[\u4e00-\u9fff]/.test(text);
+  const maxLength = !chinese && explicit ? MAX_GLOSS_SELECTION_LENGTH : MAX_SELECTION_LENGTH;
+  if (!text || text.length === 0 || text.length > maxLength) {
     return false;
   }
 
@@ -18,14 +22,47 @@ function isValidSelection(text) {
     return false;
   }
 
-  // Reject if contains Chinese characters (already Chinese, no need to translate)
-  if (/[\u4e00-\u9fff]/.test(text)) {
-    return false;
-  }
+  return true;
+}
 
+// Chinese → English mode detection (extracted from content.js doSelection)
+function isChineseSelection(text) {
+  return /[\u4e00-\u9fff]/.test(text);
+}
+
+// Modifier check (extracted from content.js isModifierHeld)
+function isModifierHeld(event, modifier) {
+  if (modifier === 'alt') return event.altKey;
+  if (modifier === 'ctrl') return event.ctrlKey || event.metaKey;
+  if (modifier === 'shift') return event.shiftKey;
   return true;
 }
 
+// Trigger mode check (extracted from content.js shouldTrigger)
+function shouldTrigger(event, mode, modifier) {
+  if (mode === 'modifier') return isModifierHeld(event, modifier);
+  if (mode === 'doubleClick') return event.detail === 2;
+  return true;
+}
+
+// Sentence context logic (extracted from content.js extractSentence)
+function extractSentence(text, phrase) {
+  const MAX_SENTENCE_LENGTH = 300;
+  const normalized = text.replace(/\s+/g, ' ').trim();
+  const target = phrase.replace(/\s+/g, ' ').trim();
+  const index = normalized.indexOf(target);
+  if (!target || index === -1) return '';
+
+  const before = normalized.slice(0, index);
+  const after = normalized.slice(index + target.length);
+
+  const start = Math.max(...['.', '!', '?', '。', '！', '？'].map(mark => before.lastIndexOf(mark))) + 1;
+  const endIndex = after.search(/[.!?。！？]/);
+  const end = endIndex === -1 ? after.length : endIndex + 1;
+
+  return (before.slice(start) + target + after.slice(0, end)).trim().slice(0, MAX_SENTENCE_LENGTH);
+}
+
 // Voice selection logic (extracted from content.js findChineseVoice)
 function findChineseVoice(voices) {
   const chineseVoices = voices.filter(v => v.lang.startsWith('zh'));
@@ -81,6 +118,31 @@ function calculatePopupPosition(x, y, popupWidth, popupHeight, viewportWidth, vi
   return { left, top };
 }
 
+// Pinned card drag bounds (extracted from content.js clampToViewport)
+function clampToViewport(left, top, width, height, viewportWidth, viewportHeight) {
+  const VIEWPORT_PADDING = 10;
+  return {
+    left: Math.max(VIEWPORT_PADDING, Math.min(left, viewportWidth - width - VIEWPORT_PADDING)),
+    top: Math.max(VIEWPORT_PADDING, Math.min(top, viewportHeight - height - VIEWPORT_PADDING))
+  };
+}
+
+// Theme preset choice (extracted from content.js resolveTheme)
+function resolveTheme(theme, prefersDark) {
+  if (theme === 'auto') return prefersDark ? 'neon' : 'light';
+  return ['neon', 'light', 'sepia', 'contrast'].includes(theme) ? theme : 'neon';
+}
+
+// Headword selection logic (extracted from content.js getHeadwords)
+function getHeadwords(entry, script) {
+  const traditional = entry.t || entry.s;
+  const simplified = entry.s || entry.t;
+
+  if (script === 'simplified') return [simplified];
+  if (script === 'both' && simplified !== traditional) return [traditional, simplified];
+  return [traditional];
+}
+
 describe('isValidSelection', () => {
   describe('accepts valid selections', () => {
     it('accepts regular English words', () => {
@@ -117,39 +179,155 @@ describe('isValidSelection', () => {
       expect(isValidSelection('123 456')).toBe(false);
     });
 
-    it('rejects selections longer than 100 characters', () => {
-      const longText = 'a'.repeat(101);
+    it('rejects Chinese selections longer than 100 characters', () => {
+      const longText = '字'.repeat(101);
       expect(isValidSelection(longText)).toBe(false);
     });
+
+    it('rejects English selections longer than 100 characters', () => {
+      expect(isValidSelection('a'.repeat(101))).toBe(false);
+    });
+
+    it('rejects English passages longer than 2000 characters, even when asked for', () => {
+      expect(isValidSelection('word '.repeat(401), 'contextMenu')).toBe(false);
+    });
   });
 
-  describe('rejects Chinese text', () => {
-    it('rejects Chinese characters', () => {
-      expect(isValidSelection('你好')).toBe(false);
+  describe('accepts longer English passages from the context menu or shortcut', () => {
+    const sentence = 'I want to buy a train ticket to the city, but the station closes early on Sundays and the next train is tomorrow.';
+
+    it('accepts a sentence longer than 100 characters', () => {
+      expect(sentence.length).toBeGreaterThan(100);
+      expect(isValidSelection(sentence, 'contextMenu')).toBe(true);
+      expect(isValidSelection(sentence, 'command')).toBe(true);
     });
 
-    it('rejects mixed Chinese and English', () => {
-      expect(isValidSelection('hello 你好')).toBe(false);
+    it('does not gloss it on a plain selection', () => {
+      expect(isValidSelection(sentence)).toBe(false);
     });
 
-    it('rejects single Chinese character', () => {
-      expect(isValidSelection('猫')).toBe(false);
+    it('accepts up to 2000 characters', () => {
+      expect(isValidSelection('a'.repeat(2000), 'command')).toBe(true);
+    });
+  });
+
+  describe('accepts Chinese text', () => {
+    it('accepts Chinese characters', () => {
+      expect(isValidSelection('你好')).toBe(true);
+    });
+
+    it('accepts single Chinese character', () => {
+      expect(isValidSelection('猫')).toBe(true);
     });
   });
 
   describe('edge cases', () => {
-    it('accepts exactly 100 characters', () => {
-      const text = 'a'.repeat(100);
+    it('accepts exactly 100 Chinese characters', () => {
+      const text = '字'.repeat(100);
       expect(isValidSelection(text)).toBe(true);
     });
 
-    it('rejects 101 characters', () => {
-      const text = 'a'.repeat(101);
+    it('rejects 101 Chinese characters', () => {
+      const text = '字'.repeat(101);
       expect(isValidSelection(text)).toBe(false);
     });
   });
 });
 
+describe('isChineseSelection', () => {
+  it('detects Chinese characters', () => {
+    expect(isChineseSelection('銀行')).toBe(true);
+  });
+
+  it('detects mixed Chinese and English', () => {
+    expect(isChineseSelection('hello 你好')).toBe(true);
+  });
+
+  it('leaves English selections in English mode', () => {
+    expect(isChineseSelection('hello world')).toBe(false);
+  });
+});
+
+describe('isModifierHeld', () => {
+  const noKeys = { altKey: false, ctrlKey: false, metaKey: false, shiftKey: false };
+
+  it('requires Alt when configured', () => {
+    expect(isModifierHeld(noKeys, 'alt')).toBe(false);
+    expect(isModifierHeld({ ...noKeys, altKey: true }, 'alt')).toBe(true);
+  });
+
+  it('accepts Ctrl or Cmd when configured for Ctrl', () => {
+    expect(isModifierHeld(noKeys, 'ctrl')).toBe(false);
+    expect(isModifierHeld({ ...noKeys, ctrlKey: true }, 'ctrl')).toBe(true);
+    expect(isModifierHeld({ ...noKeys, metaKey: true }, 'ctrl')).toBe(true);
+  });
+
+  it('requires Shift when configured', () => {
+    expect(isModifierHeld(noKeys, 'shift')).toBe(false);
+    expect(isModifierHeld({ ...noKeys, shiftKey: true }, 'shift')).toBe(true);
+  });
+
+  it('does not accept the wrong modifier', () => {
+    expect(isModifierHeld({ ...noKeys, ctrlKey: true }, 'alt')).toBe(false);
+  });
+
+  it('always fires when no modifier is required', () => {
+    expect(isModifierHeld(noKeys, 'none')).toBe(true);
+  });
+});
+
+describe('shouldTrigger', () => {
+  const release = { altKey: false, ctrlKey: false, metaKey: false, shiftKey: false, detail: 1 };
+
+  it('fires on every selection in always mode', () => {
+    expect(shouldTrigger(release, 'always', 'alt')).toBe(true);
+  });
+
+  it('needs the modifier held in modifier mode', () => {
+    expect(shouldTrigger(release, 'modifier', 'ctrl')).toBe(false);
+    expect(shouldTrigger({ ...release, ctrlKey: true }, 'modifier', 'ctrl')).toBe(true);
+    expect(shouldTrigger({ ...release, altKey: true }, 'modifier', 'ctrl')).toBe(false);
+  });
+
+  it('fires only on a double-click in double-click mode', () => {
+    expect(shouldTrigger(release, 'doubleClick', 'alt')).toBe(false);
+    expect(shouldTrigger({ ...release, detail: 2 }, 'doubleClick', 'alt')).toBe(true);
+    expect(shouldTrigger({ ...release, detail: 3 }, 'doubleClick', 'alt')).toBe(false);
+  });
+});
+
+describe('extractSentence', () => {
+  it('returns the sentence containing the phrase', () => {
+    const text = 'It rained. I went to the bank today. Then I went home.';
+    expect(extractSentence(text, 'bank')).toBe('I went to the bank today.');
+  });
+
+  it('handles the phrase in the first sentence', () => {
+    expect(extractSentence('The bank was closed. Oh well.', 'bank')).toBe('The bank was closed.');
+  });
+
+  it('handles text without sentence punctuation', () => {
+    expect(extractSentence('river bank at dusk', 'bank')).toBe('river bank at dusk');
+  });
+
+  it('splits Chinese sentences on full-width punctuation', () => {
+    expect(extractSentence('今天很冷。我去銀行了！你呢？', '銀行')).toBe('我去銀行了！');
+  });
+
+  it('collapses whitespace from page layout', () => {
+    expect(extractSentence('I went\n  to the   bank.', 'to the bank')).toBe('I went to the bank.');
+  });
+
+  it('returns empty string when phrase is not found', () => {
+    expect(extractSentence('Nothing here.', 'bank')).toBe('');
+  });
+
+  it('caps very long sentences', () => {
+    const text = 'bank ' + 'word '.repeat(100);
+    expect(extractSentence(text, 'bank').length).toBe(300);
+  });
+});
+
 describe('findChineseVoice', () => {
   it('returns null when no voices available', () => {
     expect(findChineseVoice([])).toBeNull();
@@ -218,6 +396,323 @@ describe('findChineseVoice', () => {
   });
 });
 
+// Frequency badge logic (extracted from content.js getFrequencyLabel)
+const COMMON_FREQUENCY_BAND = 2;
+const RARE_FREQUENCY_BAND = 5;
+
+function getFrequencyLabel(band) {
+  if (!band) return '';
+  if (band <= COMMON_FREQUENCY_BAND) return 'common';
+  if (band >= RARE_FREQUENCY_BAND) return 'rare';
+  return '';
+}
+
+describe('getFrequencyLabel', () => {
+  it('marks the top bands as common', () => {
+    expect(getFrequencyLabel(1)).toBe('common');
+    expect(getFrequencyLabel(2)).toBe('common');
+  });
+
+  it('marks the last band as rare', () => {
+    expect(getFrequencyLabel(5)).toBe('rare');
+  });
+
+  it('shows no badge for middle bands or entries without a band', () => {
+    expect(getFrequencyLabel(3)).toBe('');
+    expect(getFrequencyLabel(4)).toBe('');
+    expect(getFrequencyLabel(undefined)).toBe('');
+  });
+});
+
+// Level badge logic (extracted from content.js getLevelLabel)
+function getLevelLabel(entry, exam) {
+  const level = entry.l?.[exam];
+  if (!level) return '';
+  if (exam === 'hsk') return level >= 7 ? 'HSK 7–9' : `HSK ${level}`;
+  return `TOCFL ${level}`;
+}
+
+describe('getLevelLabel', () => {
+  const entry = { t: '銀行', s: '银行', p: 'yín háng', d: ['bank'], l: { hsk: 3, tocfl: 2 } };
+
+  it('shows the level for the chosen exam', () => {
+    expect(getLevelLabel(entry, 'hsk')).toBe('HSK 3');
+    expect(getLevelLabel(entry, 'tocfl')).toBe('TOCFL 2');
+  });
+
+  it('shows the combined HSK 7-9 band', () => {
+    expect(getLevelLabel({ l: { hsk: 7 } }, 'hsk')).toBe('HSK 7–9');
+  });
+
+  it('is empty for words not on the list', () => {
+    expect(getLevelLabel({ l: { hsk: 3 } }, 'tocfl')).toBe('');
+    expect(getLevelLabel({ s: '啖' }, 'hsk')).toBe('');
+  });
+});
+
+// Measure word phrase logic (extracted from content.js getMeasurePhrase)
+function getMeasurePhrase(classifier, noun) {
+  return `一${classifier}${noun}`;
+}
+
+describe('getMeasurePhrase', () => {
+  it('counts one of the noun with the classifier', () => {
+    expect(getMeasurePhrase('個', '蘋果')).toBe('一個蘋果');
+    expect(getMeasurePhrase('张', '桌子')).toBe('一张桌子');
+  });
+});
+
+// Expanded view paging logic (extracted from content.js)
+function hasMoreToShow(entries, maxEntries, showDefinitions) {
+  const shownDefinitions = showDefinitions ? 2 : 0;
+  return entries.length > maxEntries || entries.some(entry => entry.d.length > shownDefinitions);
+}
+
+function getPageBounds(page, total, pageSize) {
+  const start = page * pageSize;
+  return [start, Math.min(start + pageSize, total)];
+}
+
+function getPageCount(total, pageSize) {
+  return Math.max(1, Math.ceil(total / pageSize));
+}
+
+// Popup keys (extracted from content.js getPopupKeyAction)
+const POPUP_KEY_ACTIONS = {
+  ArrowDown: 'next', ArrowUp: 'previous', ArrowRight: 'nextPage', ArrowLeft: 'previousPage', Enter: 'play'
+};
+
+function getPopupKeyAction(event, focused, active) {
+  if (!active || event.shiftKey || event.ctrlKey || event.altKey || event.metaKey) return null;
+  if (focused.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(focused.tagName)) return null;
+
+  const interactive = /^(A|BUTTON|SUMMARY)$/.test(focused.tagName) || /^(button|link)$/.test(focused.getAttribute?.('role'));
+  if (event.key === 'Enter' && interactive) return null;
+
+  return POPUP_KEY_ACTIONS[event.key] || null;
+}
+
+describe('getPopupKeyAction', () => {
+  const body = { tagName: 'BODY', getAttribute: () => null };
+  const link = { tagName: 'A', getAttribute: () => null };
+  const roleButton = { tagName: 'DIV', getAttribute: name => (name === 'role' ? 'button' : null) };
+  const key = (name, modifiers = {}) => ({ key: name, ...modifiers });
+
+  it('maps arrows and Enter to popup actions while active', () => {
+    expect(getPopupKeyAction(key('ArrowDown'), body, true)).toBe('next');
+    expect(getPopupKeyAction(key('ArrowUp'), body, true)).toBe('previous');
+    expect(getPopupKeyAction(key('ArrowRight'), body, true)).toBe('nextPage');
+    expect(getPopupKeyAction(key('ArrowLeft'), body, true)).toBe('previousPage');
+    expect(getPopupKeyAction(key('Enter'), body, true)).toBe('play');
+    expect(getPopupKeyAction(key('a'), body, true)).toBeNull();
+  });
+
+  it('leaves keys to the page until the popup has focus or keyboard navigation', () => {
+    expect(getPopupKeyAction(key('ArrowDown'), body, false)).toBeNull();
+    expect(getPopupKeyAction(key('Enter'), body, false)).toBeNull();
+  });
+
+  it('leaves Shift+Arrow to extend the selection', () => {
+    expect(getPopupKeyAction(key('ArrowRight', { shiftKey: true }), body, true)).toBeNull();
+    expect(getPopupKeyAction(key('ArrowDown', { shiftKey: true }), body, true)).toBeNull();
+  });
+
+  it('ignores keys pressed with any other modifier', () => {
+    expect(getPopupKeyAction(key('ArrowDown', { ctrlKey: true }), body, true)).toBeNull();
+    expect(getPopupKeyAction(key('ArrowLeft', { altKey: true }), body, true)).toBeNull();
+    expect(getPopupKeyAction(key('Enter', { metaKey: true }), body, true)).toBeNull();
+  });
+
+  it('leaves Enter to a focused link or button', () => {
+    expect(getPopupKeyAction(key('Enter'), link, true)).toBeNull();
+    expect(getPopupKeyAction(key('Enter'), { tagName: 'BUTTON' }, true)).toBeNull();
+    expect(getPopupKeyAction(key('Enter'), roleButton, true)).toBeNull();
+    expect(getPopupKeyAction(key('ArrowDown'), link, true)).toBe('next');
+  });
+
+  it('leaves keys to text fields', () => {
+    expect(getPopupKeyAction(key('ArrowDown'), { tagName: 'INPUT' }, true)).toBeNull();
+    expect(getPopupKeyAction(key('Enter'), { tagName: 'DIV', isContentEditable: true }, true)).toBeNull();
+  });
+});
+
+// Shortcut frame check (extracted from content.js hasOwnFocus)
+function hasOwnFocus(doc) {
+  if (!doc.hasFocus()) return false;
+  return !/^(IFRAME|FRAME)$/.test(doc.activeElement?.tagName);
+}
+
+describe('hasOwnFocus', () => {
+  const doc = (focused, tagName) => ({ hasFocus: () => focused, activeElement: tagName ? { tagName } : null });
+
+  it('is true for the focused document', () => {
+    expect(hasOwnFocus(doc(true, 'BODY'))).toBe(true);
+    expect(hasOwnFocus(doc(true, 'TEXTAREA'))).toBe(true);
+    expect(hasOwnFocus(doc(true))).toBe(true);
+  });
+
+  it('is false for a parent whose iframe has focus', () => {
+    expect(hasOwnFocus(doc(true, 'IFRAME'))).toBe(false);
+    expect(hasOwnFocus(doc(true, 'FRAME'))).toBe(false);
+  });
+
+  it('is false for a document without focus', () => {
+    expect(hasOwnFocus(doc(false, 'BODY'))).toBe(false);
+  });
+});
+
+describe('hasMoreToShow', () => {
+  const entry = (defs) => ({ s: '字', p: 'zì', d: defs });
+
+  it('is true when entries are cut off', () => {
+    expect(hasMoreToShow([entry(['a']), entry(['b']), entry(['c']), entry(['d'])], 3, true)).toBe(true);
+  });
+
+  it('is true when definitions are cut off', () => {
+    expect(hasMoreToShow([entry(['a', 'b', 'c']), entry(['d'])], 3, true)).toBe(true);
+  });
+
+  it('is true for a single entry whose definitions are hidden', () => {
+    expect(hasMoreToShow([entry(['a'])], 3, false)).toBe(true);
+  });
+
+  it('is false when everything is already shown', () => {
+    expect(hasMoreToShow([entry(['a', 'b']), entry(['c'])], 3, true)).toBe(false);
+    expect(hasMoreToShow([entry([])], 3, false)).toBe(false);
+  });
+});
+
+describe('getPageBounds', () => {
+  it('returns the slice for a page', () => {
+    expect(getPageBounds(0, 12, 5)).toEqual([0, 5]);
+    expect(getPageBounds(1, 12, 5)).toEqual([5, 10]);
+  });
+
+  it('stops at the last entry', () => {
+    expect(getPageBounds(2, 12, 5)).toEqual([10, 12]);
+  });
+});
+
+describe('getPageCount', () => {
+  it('rounds up to whole pages', () => {
+    expect(getPageCount(10, 5)).toBe(2);
+    expect(getPageCount(11, 5)).toBe(3);
+  });
+
+  it('always has at least one page', () => {
+    expect(getPageCount(0, 5)).toBe(1);
+  });
+});
+
+// Matched-form label logic (extracted from content.js getMatchLabel)
+function getMatchLabel(query, match) {
+  if (!query || !match) return '';
+  const selected = query.toLowerCase().replace(/\s+/g, ' ').replace(/^['"]+|[.,!?;:'"]+$/g, '').trim();
+  return selected === match ? '' : `${selected} → ${match}`;
+}
+
+describe('getMatchLabel', () => {
+  it('labels a different matched form', () => {
+    expect(getMatchLabel('leaves', 'leaf')).toBe('leaves → leaf');
+  });
+
+  it('is empty when the selection matched as-is', () => {
+    expect(getMatchLabel('Cat.', 'cat')).toBe('');
+    expect(getMatchLabel('ice  cream', 'ice cream')).toBe('');
+  });
+
+  it('is empty without a match (Chinese lookups)', () => {
+    expect(getMatchLabel('銀行', undefined)).toBe('');
+    expect(getMatchLabel('', 'cat')).toBe('');
+  });
+});
+
+// Text field selection logic (extracted from content.js getFieldSelection)
+function getFieldSelection(value, start, end) {
+  return value.slice(Math.min(start, end), Math.max(start, end)).trim();
+}
+
+describe('getFieldSelection', () => {
+  it('returns the selected part of the value', () => {
+    expect(getFieldSelection('I like green tea', 7, 12)).toBe('green');
+  });
+
+  it('trims surrounding whitespace', () => {
+    expect(getFieldSelection('say hello there', 3, 10)).toBe('hello');
+  });
+
+  it('handles a backwards selection', () => {
+    expect(getFieldSelection('我喜歡喝茶', 4, 3)).toBe('喝');
+  });
+});
+
+// Site rule matching (extracted from content.js findSiteRule)
+function findSiteRule(rules, url) {
+  let hostname;
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+    hostname = parsed.hostname;
+  } catch {
+    return null;
+  }
+
+  let best = null;
+  for (const rule of rules || []) {
+    const covers = hostname === rule.site || hostname.endsWith(`.${rule.site}`);
+    if (covers && (!best || rule.site.length > best.site.length)) {
+      best = rule;
+    }
+  }
+  return best;
+}
+
+describe('findSiteRule', () => {
+  const rules = [{ site: 'example.com', enabled: false }, { site: 'news.example.com', enabled: true }];
+
+  it('picks the most specific rule covering the page', () => {
+    expect(findSiteRule(rules, 'https://code.example.com/x')).toBe(rules[0]);
+    expect(findSiteRule(rules, 'https://news.example.com/')).toBe(rules[1]);
+  });
+
+  it('returns null for other sites and non-web pages', () => {
+    expect(findSiteRule(rules, 'https://notexample.com/')).toBeNull();
+    expect(findSiteRule(rules, 'about:blank')).toBeNull();
+  });
+});
+
+describe('getHeadwords', () => {
+  const entry = { t: '銀行', s: '银行', p: 'yín háng', d: ['bank'] };
+
+  it('shows Traditional by default', () => {
+    expect(getHeadwords(entry, 'traditional')).toEqual(['銀行']);
+  });
+
+  it('shows Simplified when selected', () => {
+    expect(getHeadwords(entry, 'simplified')).toEqual(['银行']);
+  });
+
+  it('shows both forms side by side, Traditional first', () => {
+    expect(getHeadwords(entry, 'both')).toEqual(['銀行', '银行']);
+  });
+
+  it('shows a single form when both scripts are identical', () => {
+    const same = { t: '你好', s: '你好', p: 'nǐ hǎo', d: ['hello'] };
+    expect(getHeadwords(same, 'both')).toEqual(['你好']);
+  });
+
+  it('falls back to Simplified for entries without Traditional', () => {
+    const legacy = { s: '银行', p: 'yín háng', d: ['bank'] };
+    expect(getHeadwords(legacy, 'traditional')).toEqual(['银行']);
+    expect(getHeadwords(legacy, 'both')).toEqual(['银行']);
+  });
+
+  it('falls back to Traditional for entries without Simplified', () => {
+    const phrase = { t: '沒聽過', p: 'méi tīngguò', d: ['never heard of it'] };
+    expect(getHeadwords(phrase, 'simplified')).toEqual(['沒聽過']);
+  });
+});
+
 describe('calculatePopupPosition', () => {
   const viewportWidth = 1024;
   const viewportHeight = 768;
@@ -272,3 +767,29 @@ describe('calculatePopupPosition', () => {
     });
   });
 });
+
+describe('clampToViewport', () => {
+  it('leaves a card that fits where it was dropped', () => {
+    expect(clampToViewport(300, 200, 200, 100, 1024, 768)).toEqual({ left: 300, top: 200 });
+  });
+
+  it('keeps the card inside the right and bottom edges', () => {
+    expect(clampToViewport(1000, 760, 200, 100, 1024, 768)).toEqual({ left: 814, top: 658 });
+  });
+
+  it('keeps the card inside the left and top edges', () => {
+    expect(clampToViewport(-50, -20, 200, 100, 1024, 768)).toEqual({ left: 10, top: 10 });
+  });
+});
+
+describe('resolveTheme', () => {
+  it('follows the system color scheme for auto', () => {
+    expect(resolveTheme('auto', true)).toBe('neon');
+    expect(resolveTheme('auto', false)).toBe('light');
+  });
+
+  it('falls back to neon for unknown themes', () => {
+    expect(resolveTheme('sepia', true)).toBe('sepia');
+    expect(resolveTheme('plaid', true)).toBe('neon');
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { parseReferences, parseDefinitions } from '../lib/definitions.js';
+
+describe('parseReferences', () => {
+  it('reads Traditional|Simplified[pinyin] references with tone marks', () => {
+    expect(parseReferences('個|个[ge4],隻|只[zhi1]')).toEqual([
+      { t: '個', s: '个', p: 'gè' },
+      { t: '隻', s: '只', p: 'zhī' }
+    ]);
+  });
+
+  it('uses one form for both scripts when there is no pipe', () => {
+    expect(parseReferences('本[ben3]')).toEqual([{ t: '本', s: '本', p: 'běn' }]);
+  });
+
+  it('accepts references without pinyin', () => {
+    expect(parseReferences('某某')).toEqual([{ t: '某某', s: '某某' }]);
+  });
+
+  it('accepts references joined by "and"', () => {
+    expect(parseReferences('裡|里[li3] and 裏|里[li3]')).toHaveLength(2);
+  });
+
+  it('is null when the text is more than references', () => {
+    expect(parseReferences('個|个[ge4] for people')).toBeNull();
+    expect(parseReferences('no references here')).toBeNull();
+  });
+});
+
+describe('parseDefinitions', () => {
+  it('moves measure words to c', () => {
+    expect(parseDefinitions(['dog', 'CL:個|个[ge4],隻|只[zhi1]'])).toEqual({
+      d: ['dog'],
+      c: [{ t: '個', s: '个', p: 'gè' }, { t: '隻', s: '只', p: 'zhī' }]
+    });
+  });
+
+  it('moves "variant of" references to v, keeping the label', () => {
+    expect(parseDefinitions(['old variant of 裡|里[li3]'])).toEqual({
+      d: [],
+      v: [{ t: '裡', s: '里', p: 'lǐ', l: 'old variant of' }]
+    });
+    expect(parseDefinitions(['variant of 于[yu2]']).v).toEqual([{ t: '于', s: '于', p: 'yú', l: 'variant of' }]);
+    expect(parseDefinitions(['(archaic) variant of 嘗|尝[chang2]']).v[0].l).toBe('(archaic) variant of');
+  });
+
+  it('moves "see also" references to x', () => {
+    expect(parseDefinitions(['to know', 'see also 認識|认识[ren4 shi5]'])).toEqual({
+      d: ['to know'],
+      x: [{ t: '認識', s: '认识', p: 'rèn shi' }]
+    });
+    expect(parseDefinitions(['see 那|那[na4]']).x).toEqual([{ t: '那', s: '那', p: 'nà' }]);
+  });
+
+  it('collects references from several definitions in order', () => {
+    const { c } = parseDefinitions(['CL:本[ben3]', 'book', 'CL:冊|册[ce4]']);
+    expect(c.map(ref => ref.s)).toEqual(['本', '册']);
+  });
+
+  it('keeps definitions that only mention a reference as plain text', () => {
+    const definitions = ['see you later', 'variant of the game', 'CL: see notes', 'used in 東西|东西[dong1 xi5]'];
+    expect(parseDefinitions(definitions)).toEqual({ d: definitions });
+  });
+});
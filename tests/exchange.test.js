@@ -0,0 +1,186 @@
+import { describe, it, expect } from 'vitest';
+import {
+  formatHanzi, parseHanzi, pinyinKey, toToneMarks,
+  toAnki, toPleco, toCSV, parseCSVRows,
+  parseAnki, parsePleco, parseCSV, exportWords, parseImport
+} from '../lib/exchange.js';
+
+const bank = {
+  id: '銀行|银行|yín háng',
+  entry: { t: '銀行', s: '银行', p: 'yín háng', d: ['bank', 'CL:家[jia1]'] },
+  query: 'bank',
+  url: 'https://www.example.com/news',
+  title: 'News, today',
+  sentence: 'I went to the "bank".',
+  createdAt: Date.UTC(2026, 0, 2)
+};
+
+const tea = {
+  id: '茶|茶|chá',
+  entry: { t: '茶', s: '茶', p: 'chá', d: ['tea'] },
+  query: 'tea',
+  url: '',
+  title: '',
+  sentence: '',
+  createdAt: 0
+};
+
+describe('formatHanzi', () => {
+  it('uses one script when asked', () => {
+    expect(formatHanzi(bank.entry, 'traditional')).toBe('銀行');
+    expect(formatHanzi(bank.entry, 'simplified')).toBe('银行');
+  });
+
+  it('brackets the second form when showing both', () => {
+    expect(formatHanzi(bank.entry, 'both')).toBe('銀行[银行]');
+    expect(formatHanzi(bank.entry, 'both', true)).toBe('银行[銀行]');
+  });
+
+  it('does not bracket identical forms', () => {
+    expect(formatHanzi(tea.entry, 'both')).toBe('茶');
+  });
+});
+
+describe('parseHanzi', () => {
+  it('reads Traditional outside the bracket by default', () => {
+    expect(parseHanzi('銀行[银行]')).toEqual({ t: '銀行', s: '银行' });
+  });
+
+  it('reads Simplified outside the bracket for Pleco', () => {
+    expect(parseHanzi('银行[銀行]', true)).toEqual({ t: '銀行', s: '银行' });
+  });
+
+  it('uses a single form for both scripts', () => {
+    expect(parseHanzi(' 茶 ')).toEqual({ t: '茶', s: '茶' });
+  });
+});
+
+describe('pinyinKey', () => {
+  it('matches tone marks with numbered pinyin', () => {
+    expect(pinyinKey('yín háng')).toBe('yinhang|22');
+    expect(pinyinKey('yin2 hang2')).toBe('yinhang|22');
+    expect(pinyinKey('yin2hang2')).toBe('yinhang|22');
+  });
+
+  it('distinguishes tones', () => {
+    expect(pinyinKey('gān')).not.toBe(pinyinKey('gàn'));
+  });
+
+  it('ignores neutral tones and case', () => {
+    expect(pinyinKey('Xiè xie')).toBe(pinyinKey('xie4 xie5'));
+  });
+
+  it('treats v as ü', () => {
+    expect(pinyinKey('nǚ')).toBe(pinyinKey('nv3'));
+  });
+});
+
+describe('toToneMarks', () => {
+  it('converts numbered pinyin without spaces', () => {
+    expect(toToneMarks('yin2hang2')).toBe('yín háng');
+  });
+
+  it('leaves tone-marked pinyin unchanged', () => {
+    expect(toToneMarks(' yín háng ')).toBe('yín háng');
+  });
+});
+
+describe('toAnki', () => {
+  it('writes Anki directives and one tab-separated row per word', () => {
+    const lines = toAnki([bank, tea], 'traditional').trimEnd().split('\n');
+    expect(lines.slice(0, 3)).toEqual(['#separator:tab', '#html:false', '#tags column:5']);
+    expect(lines[3].split('\t')).toEqual([
+      '銀行', 'yín háng', 'bank; CL:家[jia1]', 'I went to the "bank".', 'mandopop example.com'
+    ]);
+    expect(lines[4].split('\t')).toEqual(['茶', 'chá', 'tea', '', 'mandopop']);
+  });
+
+  it('replaces tabs and newlines inside fields', () => {
+    const record = { ...tea, sentence: 'one\ttwo\nthree' };
+    const row = toAnki([record]).trimEnd().split('\n')[3];
+    expect(row.split('\t')[3]).toBe('one two three');
+  });
+});
+
+describe('toPleco', () => {
+  it('writes simplified[traditional], pinyin and definition', () => {
+    expect(toPleco([bank, tea])).toBe('银行[銀行]\tyín háng\tbank; CL:家[jia1]\n茶\tchá\ttea\n');
+  });
+});
+
+describe('toCSV', () => {
+  it('writes a header and quotes fields that need it', () => {
+    const rows = toCSV([bank]).trimEnd().split('\r\n');
+    expect(rows[0]).toBe('traditional,simplified,pinyin,definitions,sentence,query,url,title,created');
+    expect(rows[1]).toBe(
+      '銀行,银行,yín háng,bank; CL:家[jia1],"I went to the ""bank"".",bank,https://www.example.com/news,"News, today",2026-01-02T00:00:00.000Z'
+    );
+  });
+});
+
+describe('parseCSVRows', () => {
+  it('handles quoted commas, quotes and newlines', () => {
+    expect(parseCSVRows('a,"b,c","d""e"\r\n"f\ng",h\n')).toEqual([['a', 'b,c', 'd"e'], ['f\ng', 'h']]);
+  });
+
+  it('skips blank lines', () => {
+    expect(parseCSVRows('a,b\n\n,\nc,d')).toEqual([['a', 'b'], ['c', 'd']]);
+  });
+});
+
+describe('importers', () => {
+  it('round-trips Anki exports', () => {
+    const items = parseAnki(toAnki([bank, tea], 'both'));
+    expect(items).toEqual([
+      { t: '銀行', s: '银行', p: 'yín háng', d: ['bank', 'CL:家[jia1]'], sentence: 'I went to the "bank".' },
+      { t: '茶', s: '茶', p: 'chá', d: ['tea'], sentence: '' }
+    ]);
+  });
+
+  it('round-trips Pleco exports', () => {
+    const items = parsePleco(toPleco([bank]));
+    expect(items).toEqual([{ t: '銀行', s: '银行', p: 'yín háng', d: ['bank', 'CL:家[jia1]'], sentence: '' }]);
+  });
+
+  it('reads Pleco files with categories and numbered pinyin', () => {
+    const items = parsePleco('//Chapter 1\n你好\tni3hao3\thello; hi\n');
+    expect(items).toEqual([{ t: '你好', s: '你好', p: 'nǐ hǎo', d: ['hello', 'hi'], sentence: '' }]);
+  });
+
+  it('round-trips CSV exports with context', () => {
+    const [item] = parseCSV(toCSV([bank]));
+    expect(item).toEqual({
+      t: '銀行',
+      s: '银行',
+      p: 'yín háng',
+      d: ['bank', 'CL:家[jia1]'],
+      sentence: 'I went to the "bank".',
+      query: 'bank',
+      url: 'https://www.example.com/news',
+      title: 'News, today'
+    });
+  });
+
+  it('accepts CSV with only some columns', () => {
+    expect(parseCSV('Simplified,Pinyin\n茶,cha2\n')).toEqual([
+      { t: '茶', s: '茶', p: 'chá', d: [], sentence: '', query: '', url: '', title: '' }
+    ]);
+  });
+
+  it('strips a byte order mark', () => {
+    expect(parseImport('﻿茶\tchá\ttea\n', 'pleco')[0].s).toBe('茶');
+  });
+});
+
+describe('exportWords / parseImport', () => {
+  it('dispatches by format', () => {
+    expect(exportWords([tea], 'pleco')).toBe(toPleco([tea]));
+    expect(exportWords([tea], 'csv')).toBe(toCSV([tea]));
+    expect(exportWords([tea], 'anki', 'simplified')).toBe(toAnki([tea], 'simplified'));
+  });
+
+  it('rejects unknown formats', () => {
+    expect(() => exportWords([], 'xml')).toThrow('Unknown export format');
+    expect(() => parseImport('', 'xml')).toThrow('Unknown import format');
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest';
+import {
+  FREQUENCY_BANDS, RARE_BAND, parseFrequencyRanks, frequencyRank, frequencyBand,
+  keyCentrality, relevanceBand, rankEntries
+} from '../lib/frequency.js';
+
+// SUBTLEX-CH-WF style: header lines, then "word count ..." (not in count order)
+const frequencyList = [
+  '\uFEFF"Total word count: 33,546,516"',
+  'Word\tWCount\tW/million',
+  '钱\t28000\t834.7',
+  '吃\t41000\t1222.2',
+  '吃饭\t9000\t268.3',
+  '金钱\t1500\t44.7',
+  '食\t900\t26.8',
+  '餐\t400\t11.9'
+].join('\n');
+const ranks = parseFrequencyRanks(frequencyList);
+
+// Entries as the preprocessor stores them: frequency band from the list
+const withBands = entries => entries.map(e => ({ ...e, f: frequencyBand(frequencyRank(e, ranks)) }));
+const order = (entries, key, list = ranks) => rankEntries(entries, key, list).map(e => e.s);
+
+const eat = [
+  { t: '啖', s: '啖', p: 'dàn', d: ['to eat', 'to taste', 'to entice (using bait)'] },
+  { t: '茹', s: '茹', p: 'rú', d: ['to eat', 'roots'] },
+  { t: '食', s: '食', p: 'shí', d: ['to eat', 'food', 'animal feed', 'eclipse'] },
+  { t: '餐', s: '餐', p: 'cān', d: ['meal', 'to eat'] },
+  { t: '吃飯', s: '吃饭', p: 'chī fàn', d: ['to have a meal', 'to eat', 'to make a living'] },
+  { t: '吃', s: '吃', p: 'chī', d: ['to eat', 'to consume', 'to eat at (a cafeteria etc)'] }
+];
+
+const money = [
+  { t: '孔方兄', s: '孔方兄', p: 'kǒng fāng xiōng', d: ['(old) money (humorous, from the square hole in old coins)'] },
+  { t: '泉', s: '泉', p: 'quán', d: ['spring (small stream)', 'mouth of a spring', 'coin (archaic)'] },
+  { t: '金錢', s: '金钱', p: 'jīn qián', d: ['money', 'currency'] },
+  { t: '阿堵物', s: '阿堵物', p: 'ā dǔ wù', d: ['(archaic) money'] },
+  { t: '錢', s: '钱', p: 'qián', d: ['coin', 'money'] }
+];
+
+describe('parseFrequencyRanks', () => {
+  it('ranks words by count, skipping header lines', () => {
+    expect([...ranks]).toEqual([['吃', 1], ['钱', 2], ['吃饭', 3], ['金钱', 4], ['食', 5], ['餐', 6]]);
+  });
+
+  it('takes one word per line in rank order when there are no counts', () => {
+    expect([...parseFrequencyRanks('的\n是\n的\n# comment\n不')]).toEqual([['的', 1], ['是', 2], ['不', 4]]);
+  });
+});
+
+describe('frequencyRank', () => {
+  it('takes the better-ranked script form', () => {
+    expect(frequencyRank({ t: '錢', s: '钱' }, ranks)).toBe(2);
+    expect(frequencyRank({ t: '啖', s: '啖' }, ranks)).toBe(Infinity);
+  });
+});
+
+describe('frequencyBand', () => {
+  it('bands ranks by the cutoffs, unlisted words rare', () => {
+    expect(frequencyBand(1)).toBe(1);
+    expect(frequencyBand(FREQUENCY_BANDS[0])).toBe(1);
+    expect(frequencyBand(FREQUENCY_BANDS[0] + 1)).toBe(2);
+    expect(frequencyBand(FREQUENCY_BANDS[FREQUENCY_BANDS.length - 1] + 1)).toBe(RARE_BAND);
+    expect(frequencyBand(Infinity)).toBe(RARE_BAND);
+  });
+});
+
+describe('keyCentrality', () => {
+  it('is 0 for a whole definition, ignoring "to" and notes', () => {
+    expect(keyCentrality(eat[0], 'eat')).toBe(0);
+    expect(keyCentrality(money[0], 'money')).toBe(0);
+  });
+
+  it('is 1 for part of the first definition', () => {
+    expect(keyCentrality(eat[4], 'meal')).toBe(1);
+  });
+
+  it('is 2 for a later definition only', () => {
+    expect(keyCentrality(eat[4], 'living')).toBe(2);
+  });
+});
+
+describe('relevanceBand', () => {
+  it('uses the frequency band, or the built-in common words without one', () => {
+    expect(relevanceBand({ s: '啖', f: 4 })).toBe(4);
+    expect(relevanceBand({ s: '吃' })).toBe(1);
+    expect(relevanceBand({ s: '啖' })).toBe(3);
+  });
+});
+
+describe('rankEntries', () => {
+  it('puts everyday words above classical ones for "eat"', () => {
+    expect(order(withBands(eat), 'eat')).toEqual(['吃', '吃饭', '食', '餐', '茹', '啖']);
+  });
+
+  it('puts everyday words above archaic ones for "money"', () => {
+    expect(order(withBands(money), 'money')).toEqual(['钱', '金钱', '阿堵物', '孔方兄', '泉']);
+  });
+
+  it('falls back to the built-in common words without a frequency list', () => {
+    expect(order(eat, 'eat', null)[0]).toBe('吃');
+    expect(order(money, 'money', null)[0]).toBe('钱');
+  });
+
+  it('returns a new array', () => {
+    const entries = withBands(eat);
+    expect(rankEntries(entries, 'eat', ranks)).not.toBe(entries);
+    expect(entries[0].s).toBe('啖');
+  });
+});
@@ -0,0 +1,160 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MAX_EDIT_DISTANCE, MAX_SUGGESTIONS, spellingVariants, trigrams, fuzzyShard, fuzzyShardsFor,
+  editDistance, fuzzySearch, fuzzyQuery
+} from '../lib/fuzzy.js';
+
+// Same shards as scripts/preprocess_cedict.cjs buildFuzzyShards, keys given most common first
+function buildShards(keysWithBands) {
+  const shards = {};
+  for (const [key, band] of keysWithBands) {
+    const shard = (shards[fuzzyShard(key.length)] ||= { words: [], bands: [], grams: {} });
+    const index = shard.words.length;
+    shard.words.push(key);
+    shard.bands.push(band);
+    for (const gram of trigrams(key)) {
+      (shard.grams[gram] ||= []).push(index);
+    }
+  }
+  return shards;
+}
+
+const shards = buildShards([
+  ['color', 1], ['receive', 1], ['separate', 2], ['necessary', 2], ['beautiful', 1],
+  ['e-mail', 2], ['cat', 1], ['car', 1], ['cart', 3], ['coat', 2], ['at', 1],
+  ['definitely', 2], ['colon', 3], ['colour', 4], ['government', 1]
+]);
+const search = word => fuzzySearch(word, id => shards[id]);
+
+describe('spellingVariants', () => {
+  it('swaps British and American spellings both ways', () => {
+    expect(spellingVariants('colour')).toContain('color');
+    expect(spellingVariants('color')).toContain('colour');
+    expect(spellingVariants('centre')).toContain('center');
+    expect(spellingVariants('realise')).toContain('realize');
+    expect(spellingVariants('catalogue')).toContain('catalog');
+    expect(spellingVariants('defence')).toContain('defense');
+    expect(spellingVariants('travelling')).toContain('traveling');
+    expect(spellingVariants('programme')).toContain('program');
+    expect(spellingVariants('anaemia')).toContain('anemia');
+  });
+
+  it('joins, hyphenates and spaces words', () => {
+    expect(spellingVariants('e-mail')).toEqual(expect.arrayContaining(['email', 'e mail']));
+    expect(spellingVariants('ice cream')).toEqual(expect.arrayContaining(['icecream', 'ice-cream']));
+    expect(spellingVariants('email')).toEqual(expect.arrayContaining(['e-mail', 'e mail']));
+    expect(spellingVariants('icecream')).toContain('ice cream');
+  });
+
+  it('normalizes case and whitespace, and leaves out the text itself', () => {
+    const variants = spellingVariants('  Ice   Cream ');
+    expect(variants).toContain('ice-cream');
+    expect(variants).not.toContain('ice cream');
+  });
+
+  it('returns nothing to try for text without variants', () => {
+    expect(spellingVariants('x')).toEqual([]);
+  });
+});
+
+describe('trigrams', () => {
+  it('pads the word so its start and end count', () => {
+    expect(trigrams('cat')).toEqual(['$$c', '$ca', 'cat', 'at$', 't$$']);
+  });
+
+  it('keeps each trigram once', () => {
+    expect(trigrams('aaaa').filter(gram => gram === 'aaa')).toHaveLength(1);
+  });
+});
+
+describe('fuzzyShardsFor', () => {
+  it('covers keys up to the edit distance longer or shorter', () => {
+    expect(fuzzyShardsFor('color')).toEqual(['3', '4', '5', '6', '7']);
+  });
+
+  it('skips lengths below one', () => {
+    expect(fuzzyShardsFor('at')).toEqual(['1', '2', '3', '4']);
+  });
+});
+
+describe('editDistance', () => {
+  it('counts insertions, deletions and substitutions', () => {
+    expect(editDistance('color', 'colour')).toBe(1);
+    expect(editDistance('cat', 'cart')).toBe(1);
+    expect(editDistance('cat', 'car')).toBe(1);
+    expect(editDistance('kitten', 'sitting', 3)).toBe(3);
+  });
+
+  it('counts an adjacent transposition as one edit', () => {
+    expect(editDistance('recieve', 'receive')).toBe(1);
+    expect(editDistance('teh', 'the')).toBe(1);
+  });
+
+  it('gives up past the limit', () => {
+    expect(editDistance('cat', 'definitely')).toBe(MAX_EDIT_DISTANCE + 1);
+    expect(editDistance('abcdef', 'ghijkl')).toBe(MAX_EDIT_DISTANCE + 1);
+  });
+
+  it('is zero for equal words', () => {
+    expect(editDistance('same', 'same')).toBe(0);
+    expect(editDistance('', '')).toBe(0);
+  });
+});
+
+describe('fuzzySearch', () => {
+  it('finds common misspellings', () => {
+    expect(search('recieve')[0]).toBe('receive');
+    expect(search('seperate')[0]).toBe('separate');
+    expect(search('neccessary')[0]).toBe('necessary');
+    expect(search('beautifull')[0]).toBe('beautiful');
+    expect(search('definately')[0]).toBe('definitely');
+    expect(search('emial')).toContain('e-mail');
+  });
+
+  it('finds words with two transposed letter pairs', () => {
+    expect(search('baeutiflu')[0]).toBe('beautiful');
+    expect(search('govrenemnt')[0]).toBe('government');
+  });
+
+  it('ranks by distance, then frequency band', () => {
+    // cart, car and cat are one edit from "catr"; cat and car are more common
+    expect(search('catr').slice(0, 3)).toEqual(['car', 'cat', 'cart']);
+    // color, colon and colour are all one edit from "colou"
+    expect(search('colou').slice(0, 3)).toEqual(['color', 'colon', 'colour']);
+  });
+
+  it('leaves out the word itself and keys too far away', () => {
+    expect(search('color')).not.toContain('color');
+    expect(search('color')).not.toContain('cat');
+    expect(search('xyzzyq')).toEqual([]);
+  });
+
+  it('returns at most the suggestion limit', () => {
+    expect(search('ca').length).toBeLessThanOrEqual(MAX_SUGGESTIONS);
+  });
+
+  it('matches a brute-force scan of the shards', () => {
+    const keys = Object.values(shards).flatMap(shard => shard.words);
+    for (const word of ['colr', 'recieve', 'cta', 'beutiful', 'emale', 'definetly', 'baeutiflu', 'govrenemnt']) {
+      const expected = keys.filter(key => key !== word && editDistance(word, key) <= MAX_EDIT_DISTANCE);
+      expect(fuzzySearch(word, id => shards[id], keys.length).sort()).toEqual(expected.sort());
+    }
+  });
+
+  it('skips shards that are not loaded', () => {
+    expect(fuzzySearch('recieve', () => undefined)).toEqual([]);
+  });
+});
+
+describe('fuzzyQuery', () => {
+  it('accepts single words, stripping punctuation', () => {
+    expect(fuzzyQuery(' Recieve, ')).toBe('recieve');
+    expect(fuzzyQuery('e-mial')).toBe('e-mial');
+  });
+
+  it('rejects phrases and non-words', () => {
+    expect(fuzzyQuery('ice creem')).toBeNull();
+    expect(fuzzyQuery('42')).toBeNull();
+    expect(fuzzyQuery('')).toBeNull();
+  });
+});
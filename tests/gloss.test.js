@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { MAX_PHRASE_WORDS, glossWords, glossKeys, glossPhrase } from '../lib/gloss.js';
+import { sliceIndex } from '../lib/shards.js';
+
+const dictionary = {
+  'want': [{ t: '要', s: '要', p: 'yào', d: ['to want'] }],
+  'buy': [{ t: '買', s: '买', p: 'mǎi', d: ['to buy'] }],
+  'train': [{ t: '火車', s: '火车', p: 'huǒ chē', d: ['train'] }],
+  'ticket': [{ t: '票', s: '票', p: 'piào', d: ['ticket'] }],
+  'train ticket': [{ t: '火車票', s: '火车票', p: 'huǒ chē piào', d: ['train ticket'] }],
+  'ice cream': [{ t: '冰淇淋', s: '冰淇淋', p: 'bīng qí lín', d: ['ice cream'] }],
+  'ice': [{ t: '冰', s: '冰', p: 'bīng', d: ['ice'] }],
+  'a lot': [{ t: '很多', s: '很多', p: 'hěn duō', d: ['a lot'] }],
+  'like': [{ t: '喜歡', s: '喜欢', p: 'xǐ huan', d: ['to like'] }]
+};
+
+const gloss = text => glossPhrase(glossWords(text), dictionary);
+const summary = chunks => chunks.map(({ text, entry }) => [text, entry?.t ?? null]);
+
+describe('glossWords', () => {
+  it('splits a sentence into words, dropping punctuation and numbers', () => {
+    expect(glossWords('I want to buy a train ticket!')).toEqual(['I', 'want', 'to', 'buy', 'a', 'train', 'ticket']);
+    expect(glossWords("It's 5 o'clock, e-mail me")).toEqual(["It's", "o'clock", 'e-mail', 'me']);
+  });
+
+  it('is empty without words', () => {
+    expect(glossWords('123 ...')).toEqual([]);
+  });
+});
+
+describe('glossKeys', () => {
+  it('covers every run of up to three words, with their word forms', () => {
+    const keys = glossKeys(['bought', 'train', 'tickets']);
+    expect(keys).toEqual(expect.arrayContaining(['buy', 'train', 'ticket', 'train ticket', 'buy train ticket']));
+  });
+
+  it('is enough to gloss from a slice of the dictionary', () => {
+    const words = glossWords('I want to buy a train ticket');
+    const slice = sliceIndex(glossKeys(words), () => dictionary);
+    expect(glossPhrase(words, slice)).toEqual(glossPhrase(words, dictionary));
+  });
+});
+
+describe('glossPhrase', () => {
+  it('takes the longest phrase at each position, in order', () => {
+    expect(summary(gloss('I want to buy a train ticket'))).toEqual([
+      ['I', null],
+      ['want', '要'],
+      ['buy', '買'],
+      ['train ticket', '火車票']
+    ]);
+  });
+
+  it('falls back to single words and word forms', () => {
+    const chunks = gloss('wanted trains and tickets');
+    expect(summary(chunks)).toEqual([
+      ['wanted', '要'], ['trains', '火車'], ['and', null], ['tickets', '票']
+    ]);
+    expect(chunks[1].entry.match).toBe('train');
+  });
+
+  it('keeps stop words that start a phrase', () => {
+    expect(summary(gloss('like ice cream a lot'))).toEqual([
+      ['like', '喜歡'], ['ice cream', '冰淇淋'], ['a lot', '很多']
+    ]);
+  });
+
+  it('skips lone stop words', () => {
+    expect(summary(gloss('the ticket of the train'))).toEqual([['ticket', '票'], ['train', '火車']]);
+  });
+
+  it('looks at phrases of up to MAX_PHRASE_WORDS words', () => {
+    const long = { 'buy a train ticket': [{ t: '買票', s: '买票', p: 'mǎi piào', d: [] }], ...dictionary };
+    expect(MAX_PHRASE_WORDS).toBe(3);
+    expect(summary(glossPhrase(glossWords('buy a train ticket'), long))[0]).toEqual(['buy', '買']);
+  });
+
+  it('is null when no word has an entry', () => {
+    expect(gloss('hello there world')).toBeNull();
+    expect(glossPhrase([], dictionary)).toBeNull();
+  });
+});
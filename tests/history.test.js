@@ -0,0 +1,133 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getHostname, createHistoryRecord, isRecordedSource, isRepeatLookup, retentionCutoff, topWords, groupByDay, REPEAT_LOOKUP_WINDOW_MS
+} from '../lib/history.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const bank = { t: '銀行', s: '银行', p: 'yín háng', d: ['bank'] };
+const shore = { t: '岸', s: '岸', p: 'àn', d: ['bank', 'shore'] };
+
+describe('getHostname', () => {
+  it('returns the hostname of web pages', () => {
+    expect(getHostname('https://news.example.com/a?b=c')).toBe('news.example.com');
+  });
+
+  it('returns empty string for extension pages and invalid URLs', () => {
+    expect(getHostname('chrome-extension://abc/review.html')).toBe('');
+    expect(getHostname('not a url')).toBe('');
+    expect(getHostname(undefined)).toBe('');
+  });
+});
+
+describe('createHistoryRecord', () => {
+  it('stores query, entry, time and hostname', () => {
+    expect(createHistoryRecord(' bank ', bank, 'https://example.com/x', 1000)).toEqual({
+      query: 'bank',
+      entryId: '銀行|银行|yín háng',
+      entry: bank,
+      timestamp: 1000,
+      hostname: 'example.com'
+    });
+  });
+
+  it('does not store the matched English form', () => {
+    const record = createHistoryRecord('banks', { ...bank, match: 'bank' }, '', 1);
+    expect(record.entry).toEqual(bank);
+  });
+});
+
+describe('isRecordedSource', () => {
+  it('records lookups the user asked for', () => {
+    expect(isRecordedSource('contextMenu')).toBe(true);
+    expect(isRecordedSource('command')).toBe(true);
+    expect(isRecordedSource('popup')).toBe(true);
+  });
+
+  it('skips automatic lookups', () => {
+    expect(isRecordedSource('selection')).toBe(false);
+    expect(isRecordedSource('hover')).toBe(false);
+    expect(isRecordedSource(undefined)).toBe(false);
+  });
+});
+
+describe('isRepeatLookup', () => {
+  const previous = { entryId: '銀行|银行|yín háng', url: 'https://example.com/a', timestamp: 1000 };
+
+  it('is true for the same word on the same page soon after', () => {
+    expect(isRepeatLookup(previous, { ...previous, timestamp: 1000 + REPEAT_LOOKUP_WINDOW_MS - 1 })).toBe(true);
+  });
+
+  it('is false for another word, another page, or after the window', () => {
+    expect(isRepeatLookup(previous, { ...previous, entryId: '岸|岸|àn', timestamp: 2000 })).toBe(false);
+    expect(isRepeatLookup(previous, { ...previous, url: 'https://example.com/b', timestamp: 2000 })).toBe(false);
+    expect(isRepeatLookup(previous, { ...previous, timestamp: 1000 + REPEAT_LOOKUP_WINDOW_MS })).toBe(false);
+  });
+
+  it('is false for the first lookup', () => {
+    expect(isRepeatLookup(null, previous)).toBe(false);
+  });
+});
+
+describe('retentionCutoff', () => {
+  it('returns the oldest timestamp to keep', () => {
+    expect(retentionCutoff(30, 100 * DAY_MS)).toBe(70 * DAY_MS);
+  });
+
+  it('returns null to keep history forever', () => {
+    expect(retentionCutoff(0, 100 * DAY_MS)).toBeNull();
+  });
+});
+
+describe('topWords', () => {
+  const records = [
+    createHistoryRecord('bank', bank, 'https://a.com', 1),
+    createHistoryRecord('banks', bank, 'https://b.com', 3),
+    createHistoryRecord('bank', shore, 'https://c.com', 2),
+    createHistoryRecord('bank', bank, 'https://a.com', 2),
+  ];
+
+  it('counts lookups per entry, most frequent first', () => {
+    const words = topWords(records);
+    expect(words.map(w => [w.entry.t, w.count])).toEqual([['銀行', 3], ['岸', 1]]);
+  });
+
+  it('collects distinct queries and the latest lookup', () => {
+    const [word] = topWords(records);
+    expect(word.queries).toEqual(['bank', 'banks']);
+    expect(word.lastTimestamp).toBe(3);
+    expect(word.hostname).toBe('b.com');
+  });
+
+  it('breaks ties by most recent lookup', () => {
+    const tied = [
+      createHistoryRecord('bank', bank, '', 1),
+      createHistoryRecord('shore', shore, '', 5),
+    ];
+    expect(topWords(tied).map(w => w.entry.t)).toEqual(['岸', '銀行']);
+  });
+
+  it('respects the limit', () => {
+    expect(topWords(records, 1)).toHaveLength(1);
+  });
+});
+
+describe('groupByDay', () => {
+  it('groups newest first by local day', () => {
+    const day1 = new Date(2026, 2, 1, 9, 0).getTime();
+    const day1Later = new Date(2026, 2, 1, 18, 30).getTime();
+    const day2 = new Date(2026, 2, 2, 8, 0).getTime();
+
+    const groups = groupByDay([
+      createHistoryRecord('a', bank, '', day1),
+      createHistoryRecord('b', bank, '', day2),
+      createHistoryRecord('c', shore, '', day1Later),
+    ]);
+
+    expect(groups.map(g => g.day)).toEqual(['2026-03-02', '2026-03-01']);
+    expect(groups[1].records.map(r => r.query)).toEqual(['c', 'a']);
+  });
+
+  it('returns an empty timeline for no records', () => {
+    expect(groupByDay([])).toEqual([]);
+  });
+});
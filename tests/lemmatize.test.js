@@ -0,0 +1,177 @@
+import { describe, it, expect } from 'vitest';
+import { IRREGULAR_FORMS, lemmaCandidates, lemmatize } from '../lib/lemmatize.js';
+
+const lemmas = (word) => lemmaCandidates(word).map(c => c.lemma);
+const best = (word) => lemmas(word)[0];
+
+describe('IRREGULAR_FORMS', () => {
+  it('maps irregular verbs, nouns and adjectives to their base forms', () => {
+    expect(IRREGULAR_FORMS.went).toEqual(['go']);
+    expect(IRREGULAR_FORMS.children).toEqual(['child']);
+    expect(IRREGULAR_FORMS.mice).toEqual(['mouse']);
+    expect(IRREGULAR_FORMS.ran).toEqual(['run']);
+    expect(IRREGULAR_FORMS.thought).toEqual(['think']);
+  });
+
+  it('keeps every base for ambiguous forms', () => {
+    expect(IRREGULAR_FORMS.better).toEqual(['good', 'well']);
+    expect(IRREGULAR_FORMS.lying).toEqual(['lie']);
+  });
+});
+
+describe('lemmaCandidates', () => {
+  it('ranks irregular forms first', () => {
+    expect(best('went')).toBe('go');
+    expect(best('children')).toBe('child');
+    expect(best('feet')).toBe('foot');
+    expect(best('knives')).toBe('knife');
+  });
+
+  it('returns scores in descending order', () => {
+    const scores = lemmaCandidates('hoping').map(c => c.score);
+    expect(scores).toEqual([...scores].sort((a, b) => b - a));
+  });
+
+  it('does not include the word itself', () => {
+    expect(lemmas('walked')).not.toContain('walked');
+  });
+
+  describe('plurals', () => {
+    it('strips -s and -es after sibilants', () => {
+      expect(best('cats')).toBe('cat');
+      expect(best('boxes')).toBe('box');
+      expect(best('watches')).toBe('watch');
+      expect(best('classes')).toBe('class');
+    });
+
+    it('prefers the silent-e base for -ses', () => {
+      expect(best('houses')).toBe('house');
+      expect(lemmas('buses')).toContain('bus');
+    });
+
+    it('handles -ies for long and short words', () => {
+      expect(best('studies')).toBe('study');
+      expect(best('ties')).toBe('tie');
+      expect(lemmas('movies')).toContain('movie');
+    });
+
+    it('undoubles -zzes', () => {
+      expect(best('buzzes')).toBe('buzz');
+      expect(lemmas('quizzes')).toContain('quiz');
+    });
+
+    it('offers -f and -fe for -ves', () => {
+      expect(lemmas('scarves')).toContain('scarf');
+      expect(lemmas('gloves')).toContain('glove');
+    });
+
+    it('leaves -ss, -us and -is words alone', () => {
+      expect(lemmas('glass')).toEqual([]);
+      expect(lemmas('bonus')).toEqual([]);
+      expect(lemmas('this')).toEqual([]);
+    });
+  });
+
+  describe('past tense and gerunds', () => {
+    it('strips a plain suffix', () => {
+      expect(best('walked')).toBe('walk');
+      expect(best('needed')).toBe('need');
+      expect(best('eating')).toBe('eat');
+    });
+
+    it('does not produce junk silent-e stems', () => {
+      expect(lemmas('needed')).not.toContain('neede');
+      expect(lemmas('cooked')).not.toContain('cooke');
+    });
+
+    it('restores silent e on short stems', () => {
+      expect(best('liked')).toBe('like');
+      expect(best('making')).toBe('make');
+      expect(best('hoped')).toBe('hope');
+    });
+
+    it('restores silent e after endings that need it', () => {
+      expect(best('loved')).toBe('love');
+      expect(best('danced')).toBe('dance');
+      expect(best('changing')).toBe('change');
+      expect(best('raised')).toBe('raise');
+      expect(best('handled')).toBe('handle');
+    });
+
+    it('prefers the plain stem on longer words', () => {
+      expect(best('visited')).toBe('visit');
+      expect(lemmas('completed')).toContain('complete');
+    });
+
+    it('undoubles final consonants', () => {
+      expect(best('stopped')).toBe('stop');
+      expect(best('running')).toBe('run');
+      expect(best('planned')).toBe('plan');
+    });
+
+    it('keeps natural double consonants', () => {
+      expect(best('called')).toBe('call');
+      expect(best('missed')).toBe('miss');
+      expect(best('added')).toBe('add');
+    });
+
+    it('handles -ied and -eed', () => {
+      expect(best('studied')).toBe('study');
+      expect(best('agreed')).toBe('agree');
+    });
+  });
+
+  describe('comparatives and adverbs', () => {
+    it('handles -er and -est', () => {
+      expect(best('faster')).toBe('fast');
+      expect(best('nicer')).toBe('nice');
+      expect(best('bigger')).toBe('big');
+      expect(best('happiest')).toBe('happy');
+    });
+
+    it('handles -ly', () => {
+      expect(best('quickly')).toBe('quick');
+      expect(best('happily')).toBe('happy');
+      expect(best('simply')).toBe('simple');
+      expect(best('basically')).toBe('basic');
+    });
+  });
+
+  it('strips possessives', () => {
+    expect(best("teacher's")).toBe('teacher');
+    expect(best("teachers'")).toBe('teachers');
+  });
+
+  it('drops stems without a vowel or too short to be words', () => {
+    expect(lemmas('bed')).toEqual([]);
+    expect(lemmas('sing')).toEqual([]);
+  });
+});
+
+describe('lemmatize', () => {
+  const keys = new Set(['go', 'went', 'need', 'thought', 'think', 'leaf', 'leave', 'hope', 'hop']);
+  const hasKey = key => keys.has(key);
+
+  it('lists the word first, then ranked base forms', () => {
+    expect(lemmatize('walked')[0]).toBe('walked');
+    expect(lemmatize('walked')).toContain('walk');
+  });
+
+  it('keeps only dictionary keys when given a key check', () => {
+    expect(lemmatize('needed', hasKey)).toEqual(['need']);
+    expect(lemmatize('xyzzy', hasKey)).toEqual([]);
+  });
+
+  it('prefers the surface form when it is a key', () => {
+    expect(lemmatize('thought', hasKey)).toEqual(['thought', 'think']);
+  });
+
+  it('resolves irregular forms against the key set', () => {
+    expect(lemmatize('went', hasKey)).toEqual(['went', 'go']);
+  });
+
+  it('ranks ambiguous stems', () => {
+    expect(lemmatize('hoped', hasKey)[0]).toBe('hope');
+    expect(lemmatize('leaves', hasKey)).toEqual(expect.arrayContaining(['leaf', 'leave']));
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { EXAMS, getLevel, levelLabel, rankByLevel } from '../lib/levels.js';
+
+const eat = { t: '吃', s: '吃', p: 'chī', d: ['to eat'], l: { hsk: 1, tocfl: 1 } };
+const food = { t: '食', s: '食', p: 'shí', d: ['to eat'], l: { tocfl: 4 } };
+const devour = { t: '啖', s: '啖', p: 'dàn', d: ['to eat'] };
+const dine = { t: '用餐', s: '用餐', p: 'yòng cān', d: ['to eat a meal'], l: { hsk: 5, tocfl: 5 } };
+
+describe('EXAMS', () => {
+  it('lists HSK and TOCFL', () => {
+    expect(Object.keys(EXAMS)).toEqual(['hsk', 'tocfl']);
+  });
+});
+
+describe('getLevel', () => {
+  it('returns the level on the given exam', () => {
+    expect(getLevel(eat, 'hsk')).toBe(1);
+    expect(getLevel(food, 'tocfl')).toBe(4);
+  });
+
+  it('returns null for words not on the list', () => {
+    expect(getLevel(food, 'hsk')).toBeNull();
+    expect(getLevel(devour, 'tocfl')).toBeNull();
+  });
+});
+
+describe('levelLabel', () => {
+  it('names the exam and level', () => {
+    expect(levelLabel('hsk', 3)).toBe('HSK 3');
+    expect(levelLabel('tocfl', 2)).toBe('TOCFL 2');
+  });
+
+  it('shows the combined HSK 7-9 band', () => {
+    expect(levelLabel('hsk', 7)).toBe('HSK 7–9');
+  });
+});
+
+describe('rankByLevel', () => {
+  const entries = [devour, dine, food, eat];
+
+  it('moves words at or below the target level to the front, in order', () => {
+    expect(rankByLevel(entries, 'tocfl', 4)).toEqual([food, eat, devour, dine]);
+  });
+
+  it('ranks by the chosen exam only', () => {
+    expect(rankByLevel(entries, 'hsk', 4)).toEqual([eat, devour, dine, food]);
+  });
+
+  it('leaves the order alone without a target level', () => {
+    expect(rankByLevel(entries, 'hsk', 0)).toBe(entries);
+    expect(rankByLevel(entries, 'unknown', 3)).toBe(entries);
+  });
+});
@@ -219,40 +219,48 @@ describe('lookup', () => {
     'big': [{ s: '大', p: 'da', d: ['big'] }],
     'quick': [{ s: '快', p: 'kuai', d: ['quick'] }],
     'ice cream': [{ s: '冰淇淋', p: 'bīng qí lín', d: ['ice cream'] }],
+    'go': [{ s: '去', p: 'qù', d: ['to go'] }],
+    'need': [{ s: '需要', p: 'xū yào', d: ['to need'] }],
+    'b': [{ s: '乙', p: 'yǐ', d: ['second of the ten Heavenly Stems', 'b'] }],
+    'leaf': [{ s: '叶子', p: 'yè zi', d: ['leaf'] }, { s: '页', p: 'yè', d: ['leaf (of a book)'] }],
+    'leave': [{ s: '离开', p: 'lí kāi', d: ['to leave'] }, { s: '假', p: 'jià', d: ['leave of absence'] }],
+    'leaves': [{ s: '叶子', p: 'yè zi', d: ['leaves'] }],
   };
 
+  const labelled = (key) => mockDictionary[key].map(entry => ({ ...entry, match: key }));
+
   it('returns null when dictionary is null', () => {
     expect(lookup('cat', null)).toBeNull();
   });
 
   it('finds exact match', () => {
     const result = lookup('cat', mockDictionary);
-    expect(result).toEqual(mockDictionary['cat']);
+    expect(result).toEqual(labelled('cat'));
   });
 
   it('finds base form from plural', () => {
     const result = lookup('cats', mockDictionary);
-    expect(result).toEqual(mockDictionary['cat']);
+    expect(result).toEqual(labelled('cat'));
   });
 
   it('finds base form from -ies plural', () => {
     const result = lookup('studies', mockDictionary);
-    expect(result).toEqual(mockDictionary['study']);
+    expect(result).toEqual(labelled('study'));
   });
 
   it('finds base form from gerund with doubled consonant', () => {
     const result = lookup('running', mockDictionary);
-    expect(result).toEqual(mockDictionary['run']);
+    expect(result).toEqual(labelled('run'));
   });
 
   it('finds base form from comparative with doubled consonant', () => {
     const result = lookup('bigger', mockDictionary);
-    expect(result).toEqual(mockDictionary['big']);
+    expect(result).toEqual(labelled('big'));
   });
 
   it('finds base form from adverb', () => {
     const result = lookup('quickly', mockDictionary);
-    expect(result).toEqual(mockDictionary['quick']);
+    expect(result).toEqual(labelled('quick'));
   });
 
   it('returns null for words not in dictionary', () => {
@@ -267,11 +275,100 @@ describe('lookup', () => {
 
   it('finds phrase by exact match', () => {
     const result = lookup('ice cream', mockDictionary);
-    expect(result).toEqual(mockDictionary['ice cream']);
+    expect(result).toEqual(labelled('ice cream'));
   });
 
   it('finds phrase from inflected form (ice creams -> ice cream)', () => {
     const result = lookup('ice creams', mockDictionary);
-    expect(result).toEqual(mockDictionary['ice cream']);
+    expect(result).toEqual(labelled('ice cream'));
+  });
+
+  it('finds base form of irregular words (went -> go)', () => {
+    const result = lookup('went', mockDictionary);
+    expect(result).toEqual(labelled('go'));
+  });
+
+  it('does not match junk stems (bed -> b)', () => {
+    expect(lookup('bed', mockDictionary)).toBeNull();
+    expect(lookup('needed', mockDictionary)).toEqual(labelled('need'));
+  });
+
+  it('ignores inherited object keys', () => {
+    expect(lookup('constructor', mockDictionary)).toBeNull();
+  });
+
+  describe('merging variations', () => {
+    const leaves = () => lookup('leaves', mockDictionary);
+
+    it('collects entries from every matching form', () => {
+      const matches = new Set(leaves().map(entry => entry.match));
+      expect(matches).toEqual(new Set(['leaves', 'leaf', 'leave']));
+    });
+
+    it('labels each entry with the form it matched', () => {
+      expect(leaves().find(entry => entry.s === '离开').match).toBe('leave');
+      expect(leaves().find(entry => entry.s === '页').match).toBe('leaf');
+    });
+
+    it('removes duplicates by simplified and pinyin, keeping the best-ranked form', () => {
+      const yezi = leaves().filter(entry => entry.s === '叶子');
+      expect(yezi).toHaveLength(1);
+      expect(yezi[0].match).toBe('leaves');
+    });
+
+    it('ranks the top entry of each form before second entries', () => {
+      const order = leaves().map(entry => entry.s);
+      expect(order.indexOf('离开')).toBeLessThan(order.indexOf('页'));
+      expect(order.indexOf('离开')).toBeLessThan(order.indexOf('假'));
+      expect(order[0]).toBe('叶子');
+    });
+  });
+
+  describe('words that are keys themselves', () => {
+    const dictionary = {
+      'evening': [{ s: '晚上', p: 'wǎn shang', d: ['evening'] }, { s: '傍晚', p: 'bàng wǎn', d: ['evening'] }],
+      'even': [{ s: '甚至', p: 'shèn zhì', d: ['even'] }, { s: '平', p: 'píng', d: ['even', 'flat'] }],
+      'running': [{ s: '运行', p: 'yùn xíng', d: ['running (of a machine)'] }],
+      'run': [{ s: '跑', p: 'pǎo', d: ['to run'] }],
+      'needed': [{ s: '所需', p: 'suǒ xū', d: ['needed'] }],
+      'need': [{ s: '需要', p: 'xū yào', d: ['to need'] }],
+      'better': [{ s: '更好', p: 'gèng hǎo', d: ['better'] }],
+      'good': [{ s: '好', p: 'hǎo', d: ['good'] }]
+    };
+    const words = text => lookup(text, dictionary).map(entry => entry.s);
+
+    it('still merges their base forms', () => {
+      expect(words('running')).toEqual(['运行', '跑']);
+      expect(words('needed')).toEqual(['所需', '需要']);
+      expect(words('better')).toEqual(['更好', '好']);
+    });
+
+    it('lists their own senses before those of base forms', () => {
+      expect(words('evening')).toEqual(['晚上', '傍晚', '甚至', '平']);
+    });
+
+    it('ranks base forms as usual for words that are not keys', () => {
+      expect(words('evens')).toEqual(['甚至', '平']);
+    });
+  });
+
+  describe('target level', () => {
+    const dictionary = {
+      'eat': [
+        { s: '啖', p: 'dàn', d: ['to eat'] },
+        { s: '吃', p: 'chī', d: ['to eat'], l: { hsk: 1 } },
+        { s: '用餐', p: 'yòng cān', d: ['to eat a meal'], l: { hsk: 5 } }
+      ]
+    };
+
+    it('ranks entries at or below the target level first', () => {
+      const result = lookup('eat', dictionary, { exam: 'hsk', targetLevel: 2 });
+      expect(result.map(entry => entry.s)).toEqual(['吃', '啖', '用餐']);
+    });
+
+    it('keeps dictionary order without a target level', () => {
+      const result = lookup('eat', dictionary);
+      expect(result.map(entry => entry.s)).toEqual(['啖', '吃', '用餐']);
+    });
   });
 });
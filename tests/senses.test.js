@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { MAX_SENSE_LABEL_LENGTH, senseLabel, contextWords, groupBySense } from '../lib/senses.js';
+import { lookup } from '../lib/normalize.js';
+
+const bank = { t: '銀行', s: '银行', p: 'yín háng', d: ['bank', 'CL:家[jiā],個|个[gè]'], k: 0 };
+const shore = { t: '岸', s: '岸', p: 'àn', d: ['bank (of a river)', 'shore', 'coast'], k: 0 };
+const riverbank = { t: '河岸', s: '河岸', p: 'hé àn', d: ['riverside', 'bank (of a river)'], k: 1 };
+const reserve = { t: '存款', s: '存款', p: 'cún kuǎn', d: ['to deposit money', 'bank savings'], k: 1 };
+
+describe('senseLabel', () => {
+  it('is the definition the key was found under', () => {
+    expect(senseLabel(shore)).toBe('bank (of a river)');
+    expect(senseLabel(riverbank)).toBe('bank (of a river)');
+  });
+
+  it('drops classifier notes and bracketed pinyin', () => {
+    expect(senseLabel({ d: ['bank CL:家[jiā],個|个[gè]'], k: 0 })).toBe('bank');
+    expect(senseLabel({ d: ['Beijing 北京[Běi jīng] opera'], k: 0 })).toBe('Beijing 北京 opera');
+  });
+
+  it('shortens long definitions', () => {
+    const label = senseLabel({ d: ['to set aside (a sum of money) as a reserve against future losses'], k: 0 });
+    expect(label.length).toBeLessThanOrEqual(MAX_SENSE_LABEL_LENGTH);
+    expect(label.endsWith('…')).toBe(true);
+  });
+
+  it('is empty without a recorded sense', () => {
+    expect(senseLabel({ d: ['bank'] })).toBe('');
+    expect(senseLabel({ d: ['bank'], k: 3 })).toBe('');
+  });
+});
+
+describe('contextWords', () => {
+  it('keeps distinct content words, leaving out the query', () => {
+    expect(contextWords('We sat on the bank of the river, by the river.', 'bank')).toEqual(['sat', 'river']);
+  });
+
+  it('is empty without context', () => {
+    expect(contextWords(undefined, 'bank')).toEqual([]);
+    expect(contextWords('', 'bank')).toEqual([]);
+  });
+});
+
+describe('groupBySense', () => {
+  it('labels entries and keeps each sense together in first-seen order', () => {
+    const grouped = groupBySense([shore, bank, riverbank, reserve]);
+    expect(grouped.map(entry => entry.t)).toEqual(['岸', '河岸', '銀行', '存款']);
+    expect(grouped.map(entry => entry.sense)).toEqual([
+      'bank (of a river)', 'bank (of a river)', 'bank', 'bank savings'
+    ]);
+  });
+
+  it('puts the sense the context mentions first', () => {
+    const grouped = groupBySense([bank, shore, riverbank, reserve], contextWords('money in my savings account', 'bank'));
+    expect(grouped[0].t).toBe('存款');
+    expect(groupBySense([bank, shore], ['river']).map(entry => entry.t)).toEqual(['岸', '銀行']);
+  });
+
+  it('leaves entries without a sense apart and unlabelled', () => {
+    const plain = { t: '庫', s: '库', p: 'kù', d: ['bank'] };
+    const grouped = groupBySense([plain, bank, { ...plain }]);
+    expect(grouped.map(entry => entry.t)).toEqual(['庫', '銀行', '庫']);
+    expect(grouped[0]).not.toHaveProperty('sense');
+  });
+
+  it('does not change the entries passed in', () => {
+    groupBySense([bank]);
+    expect(bank).not.toHaveProperty('sense');
+  });
+});
+
+describe('lookup with context', () => {
+  const dictionary = { bank: [bank, shore] };
+
+  it('labels results with their sense', () => {
+    expect(lookup('bank', dictionary).map(entry => entry.sense)).toEqual(['bank', 'bank (of a river)']);
+  });
+
+  it('puts the sense fitting the sentence first', () => {
+    const result = lookup('bank', dictionary, { context: 'They walked along the bank of the river.' });
+    expect(result.map(entry => entry.t)).toEqual(['岸', '銀行']);
+  });
+});
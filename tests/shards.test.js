@@ -0,0 +1,252 @@
+import { describe, it, expect } from 'vitest';
+import { createHash } from 'node:crypto';
+import {
+  HEADWORD_SHARD_COUNT, HASH_LENGTH, englishShard, headwordShard, englishCandidates, headwordCandidates,
+  sliceIndex, missingAliasTargets, contentHash, parsePackHeader, unpackShards
+} from '../lib/shards.js';
+import { lookup } from '../lib/normalize.js';
+import { lookupChinese, lookupHeadword, MAX_HEADWORD_LENGTH } from '../lib/chinese.js';
+
+// Same hash as scripts/preprocess_cedict.cjs contentHash
+const nodeHash = bytes => createHash('sha256').update(bytes).digest('hex').slice(0, HASH_LENGTH);
+
+// Same layout as scripts/preprocess_cedict.cjs writePack
+function pack(index, shardOf) {
+  const shards = {};
+  for (const key of Object.keys(index)) {
+    const id = shardOf(key);
+    shards[id] = { ...shards[id], [key]: index[key] };
+  }
+
+  const encoder = new TextEncoder();
+  const header = {};
+  const bodies = [];
+  let offset = 0;
+  for (const [id, shard] of Object.entries(shards)) {
+    const bytes = encoder.encode(JSON.stringify(shard));
+    header[id] = [offset, bytes.length, nodeHash(bytes)];
+    bodies.push(bytes);
+    offset += bytes.length;
+  }
+
+  const version = nodeHash(Buffer.concat(bodies));
+  const parts = [encoder.encode(JSON.stringify({ version, shards: header }) + '\n'), ...bodies];
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  for (const part of parts) {
+    result.set(part, position);
+    position += part.length;
+  }
+  return result;
+}
+
+// Parsed shards of a pack, the way background.js holds them
+function loadShards(bytes) {
+  return new Map([...unpackShards(bytes)].map(([id, json]) => [id, JSON.parse(json)]));
+}
+
+const dictionary = {
+  'bank': [{ t: '銀行', s: '银行', p: 'yín háng', d: ['bank'] }],
+  'run': [{ t: '跑', s: '跑', p: 'pǎo', d: ['to run'] }],
+  'ice cream': [{ t: '冰淇淋', s: '冰淇淋', p: 'bīng qí lín', d: ['ice cream'] }],
+  'a lot': [{ t: '很多', s: '很多', p: 'hěn duō', d: ['a lot'] }],
+  'x-ray': [{ t: 'X光', s: 'X光', p: 'X guāng', d: ['x-ray'] }]
+};
+
+const headwords = {
+  '银行': [{ t: '銀行', s: '银行', p: 'yín háng', d: ['bank'] }],
+  '銀行': '银行',
+  '银': [{ t: '銀', s: '银', p: 'yín', d: ['silver'] }],
+  '銀': '银',
+  '卡': [{ t: '卡', s: '卡', p: 'kǎ', d: ['card'] }],
+  '茶': [{ t: '茶', s: '茶', p: 'chá', d: ['tea'] }]
+};
+
+describe('englishShard', () => {
+  it('uses the first two letters', () => {
+    expect(englishShard('bank')).toBe('ba');
+    expect(englishShard('ice cream')).toBe('ic');
+  });
+
+  it('pads short keys and replaces non-letters', () => {
+    expect(englishShard('b')).toBe('b_');
+    expect(englishShard('a lot')).toBe('a_');
+    expect(englishShard("o'clock")).toBe('o_');
+    expect(englishShard('x-ray')).toBe('x_');
+  });
+});
+
+describe('headwordShard', () => {
+  it('buckets by the first character', () => {
+    expect(headwordShard('銀行')).toBe(headwordShard('銀'));
+    expect(headwordShard('银行')).toBe(String('银'.codePointAt(0) % HEADWORD_SHARD_COUNT));
+  });
+
+  it('stays within the shard count', () => {
+    for (const word of ['的', '𠀀', '〇', 'X光']) {
+      const id = Number(headwordShard(word));
+      expect(id).toBeGreaterThanOrEqual(0);
+      expect(id).toBeLessThan(HEADWORD_SHARD_COUNT);
+    }
+  });
+});
+
+describe('englishCandidates', () => {
+  it('lists the forms lookup tries', () => {
+    expect(englishCandidates('banks')).toContain('bank');
+    expect(englishCandidates('Running')).toContain('run');
+  });
+
+  it('keeps every phrase form (the 20 cap applies to matching keys)', () => {
+    const candidates = englishCandidates('running leaves sings');
+    expect(candidates.length).toBeGreaterThan(20);
+    expect(candidates).toContain('run leaf sing');
+  });
+
+  it('is empty for text lookup rejects', () => {
+    expect(englishCandidates('')).toEqual([]);
+    expect(englishCandidates('one two three four')).toEqual([]);
+  });
+});
+
+describe('headwordCandidates', () => {
+  it('lists every substring up to the headword limit', () => {
+    expect(headwordCandidates('銀行卡').sort()).toEqual(['銀', '銀行', '銀行卡', '行', '行卡', '卡'].sort());
+  });
+
+  it('trims like lookupChinese', () => {
+    expect(headwordCandidates('  茶 ')).toEqual(['茶']);
+  });
+
+  it('only starts at the first character with fromStart', () => {
+    expect(headwordCandidates('銀行卡', { fromStart: true })).toEqual(['銀', '銀行', '銀行卡']);
+    expect(headwordCandidates('', { fromStart: true })).toEqual([]);
+  });
+
+  it('caps candidate length', () => {
+    const text = '一'.repeat(MAX_HEADWORD_LENGTH + 5);
+    expect(Math.max(...headwordCandidates(text).map(word => word.length))).toBe(MAX_HEADWORD_LENGTH);
+  });
+});
+
+describe('sliceIndex', () => {
+  it('copies only keys that exist', () => {
+    const slice = sliceIndex(['bank', 'banks', 'run'], () => dictionary);
+    expect(slice).toEqual({ bank: dictionary.bank, run: dictionary.run });
+  });
+
+  it('skips keys whose shard is missing', () => {
+    expect(sliceIndex(['bank'], () => undefined)).toEqual({});
+  });
+
+  it('ignores inherited properties', () => {
+    expect(sliceIndex(['constructor', 'toString'], () => ({}))).toEqual({});
+  });
+});
+
+describe('missingAliasTargets', () => {
+  it('returns alias targets the slice lacks, once each', () => {
+    expect(missingAliasTargets({ '銀行': '银行', '銀行卡': '银行' })).toEqual(['银行']);
+  });
+
+  it('is empty when targets are present', () => {
+    expect(missingAliasTargets({ '銀行': '银行', '银行': headwords['银行'] })).toEqual([]);
+  });
+});
+
+describe('contentHash', () => {
+  it('matches the preprocessor hash of the same UTF-8 bytes', async () => {
+    const json = JSON.stringify(headwords);
+    expect(await contentHash(json)).toBe(nodeHash(Buffer.from(json)));
+    expect(await contentHash(new TextEncoder().encode(json))).toBe(nodeHash(Buffer.from(json)));
+  });
+
+  it('changes with the content', async () => {
+    expect(await contentHash('{"a":1}')).not.toBe(await contentHash('{"a":2}'));
+    expect(await contentHash('')).toHaveLength(HASH_LENGTH);
+  });
+});
+
+describe('parsePackHeader', () => {
+  it('reads the version and shard table', () => {
+    const bytes = pack(dictionary, englishShard);
+    const { version, shards, bodyStart } = parsePackHeader(bytes);
+    expect(version).toHaveLength(HASH_LENGTH);
+    expect(shards.ba).toEqual([expect.any(Number), expect.any(Number), expect.any(String)]);
+    expect(bytes[bodyStart - 1]).toBe(0x0a);
+  });
+
+  it('reads the features the dictionary was built with', () => {
+    const encoder = new TextEncoder();
+    const header = { version: 'abc', shards: {}, features: { levels: ['hsk'] } };
+    expect(parsePackHeader(encoder.encode(`${JSON.stringify(header)}\n`)).features).toEqual({ levels: ['hsk'] });
+    expect(parsePackHeader(pack(dictionary, englishShard)).features).toEqual({});
+  });
+
+  it('needs only the bytes up to the header line', () => {
+    const bytes = pack(dictionary, englishShard);
+    const { bodyStart } = parsePackHeader(bytes);
+    expect(parsePackHeader(bytes.subarray(0, bodyStart + 3))).toEqual(parsePackHeader(bytes));
+  });
+
+  it('rejects packs without a header line or version', () => {
+    const encoder = new TextEncoder();
+    expect(() => parsePackHeader(encoder.encode('{}'))).toThrow('missing header');
+    expect(() => parsePackHeader(encoder.encode('{"shards":{}}\n'))).toThrow('missing version');
+  });
+
+  it('versions differ when the content does', () => {
+    const changed = { ...dictionary, bank: [{ ...dictionary.bank[0], d: ['bank', 'shore'] }] };
+    expect(parsePackHeader(pack(changed, englishShard)).version)
+      .not.toBe(parsePackHeader(pack(dictionary, englishShard)).version);
+  });
+});
+
+describe('unpackShards', () => {
+  it('yields shards whose text matches their hash', async () => {
+    for (const [, json, hash] of unpackShards(pack(headwords, headwordShard))) {
+      expect(await contentHash(json)).toBe(hash);
+    }
+  });
+
+  it('yields each shard of a pack', () => {
+    const shards = loadShards(pack(dictionary, englishShard));
+    expect([...shards.keys()].sort()).toEqual(['a_', 'ba', 'ic', 'ru', 'x_']);
+    expect(shards.get('ba')).toEqual({ bank: dictionary.bank });
+  });
+
+  it('decodes multi-byte text at the right offsets', () => {
+    const shards = loadShards(pack(headwords, headwordShard));
+    const merged = Object.assign({}, ...shards.values());
+    expect(merged).toEqual(headwords);
+  });
+
+  it('rejects a pack without a header line', () => {
+    expect(() => [...unpackShards(new TextEncoder().encode('{}'))]).toThrow('missing header');
+  });
+});
+
+describe('slice lookups', () => {
+  const englishShards = loadShards(pack(dictionary, englishShard));
+  const headwordShards = loadShards(pack(headwords, headwordShard));
+
+  const headwordSlice = (words) => {
+    const slice = sliceIndex(words, word => headwordShards.get(headwordShard(word)));
+    return { ...slice, ...sliceIndex(missingAliasTargets(slice), word => headwordShards.get(headwordShard(word))) };
+  };
+
+  it('match lookups on the whole English index', () => {
+    for (const text of ['bank', 'banks', 'running', 'ice cream', 'a lot', 'x-ray', 'nothing']) {
+      const slice = sliceIndex(englishCandidates(text), key => englishShards.get(englishShard(key)));
+      expect(lookup(text, slice)).toEqual(lookup(text, dictionary));
+    }
+  });
+
+  it('match lookups on the whole headword index', () => {
+    for (const text of ['銀行卡', '我喜歡喝茶', '銀', ' 茶 ']) {
+      expect(lookupChinese(text, headwordSlice(headwordCandidates(text)))).toEqual(lookupChinese(text, headwords));
+    }
+    expect(lookupHeadword('銀行卡', headwordSlice(headwordCandidates('銀行卡', { fromStart: true }))))
+      .toEqual(lookupHeadword('銀行卡', headwords));
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import { siteForUrl, normalizeSite, findSiteRule, isSiteEnabled, setSiteRule, removeSiteRule, toggleSite } from '../lib/sites.js';
+
+const rules = [
+  { site: 'example.com', enabled: false },
+  { site: 'news.example.com', enabled: true },
+  { site: 'review.dev', enabled: false }
+];
+
+describe('siteForUrl', () => {
+  it('returns the hostname without www.', () => {
+    expect(siteForUrl('https://www.example.com/a')).toBe('example.com');
+    expect(siteForUrl('http://news.example.com')).toBe('news.example.com');
+  });
+
+  it('is empty for pages without a web hostname', () => {
+    expect(siteForUrl('chrome://extensions')).toBe('');
+    expect(siteForUrl('')).toBe('');
+  });
+});
+
+describe('normalizeSite', () => {
+  it('accepts hostnames, URLs and wildcards', () => {
+    expect(normalizeSite('Example.com')).toBe('example.com');
+    expect(normalizeSite('https://www.example.com/path?q=1')).toBe('example.com');
+    expect(normalizeSite('*.example.com')).toBe('example.com');
+    expect(normalizeSite('localhost:8080/app')).toBe('localhost');
+  });
+
+  it('rejects anything that is not a hostname', () => {
+    expect(normalizeSite('')).toBe('');
+    expect(normalizeSite('not a site')).toBe('');
+    expect(normalizeSite('chrome://extensions')).toBe('');
+  });
+});
+
+describe('findSiteRule', () => {
+  it('matches the site and its subdomains', () => {
+    expect(findSiteRule(rules, 'https://example.com/')).toBe(rules[0]);
+    expect(findSiteRule(rules, 'https://code.example.com/')).toBe(rules[0]);
+  });
+
+  it('prefers the most specific rule', () => {
+    expect(findSiteRule(rules, 'https://news.example.com/story')).toBe(rules[1]);
+    expect(findSiteRule(rules, 'https://a.news.example.com/')).toBe(rules[1]);
+  });
+
+  it('does not match on a partial hostname', () => {
+    expect(findSiteRule(rules, 'https://notexample.com/')).toBeNull();
+  });
+
+  it('returns null for non-web pages and missing rules', () => {
+    expect(findSiteRule(rules, 'chrome://newtab')).toBeNull();
+    expect(findSiteRule(undefined, 'https://example.com')).toBeNull();
+  });
+});
+
+describe('isSiteEnabled', () => {
+  it('follows the matching rule over the global toggle', () => {
+    expect(isSiteEnabled(rules, 'https://review.dev/pr/1', true)).toBe(false);
+    expect(isSiteEnabled(rules, 'https://news.example.com', false)).toBe(true);
+  });
+
+  it('falls back to the global toggle', () => {
+    expect(isSiteEnabled(rules, 'https://other.org', true)).toBe(true);
+    expect(isSiteEnabled(rules, 'https://other.org', false)).toBe(false);
+  });
+});
+
+describe('setSiteRule / removeSiteRule', () => {
+  it('replaces an existing rule and keeps the list sorted', () => {
+    const updated = setSiteRule(rules, 'example.com', true);
+    expect(updated.map(rule => rule.site)).toEqual(['example.com', 'news.example.com', 'review.dev']);
+    expect(updated[0].enabled).toBe(true);
+  });
+
+  it('does not modify the input', () => {
+    setSiteRule(rules, 'a.org', true);
+    removeSiteRule(rules, 'example.com');
+    expect(rules).toHaveLength(3);
+  });
+
+  it('removes a rule', () => {
+    expect(removeSiteRule(rules, 'review.dev').map(rule => rule.site)).toEqual(['example.com', 'news.example.com']);
+    expect(removeSiteRule(undefined, 'review.dev')).toEqual([]);
+  });
+});
+
+describe('toggleSite', () => {
+  it('adds a rule for the page site', () => {
+    expect(toggleSite([], 'https://www.github.com/pulls', false, true)).toEqual([{ site: 'github.com', enabled: false }]);
+  });
+
+  it('drops the rule when the global toggle already agrees', () => {
+    const blocked = [{ site: 'github.com', enabled: false }];
+    expect(toggleSite(blocked, 'https://github.com/', true, true)).toEqual([]);
+  });
+
+  it('keeps a rule that overrides a broader one', () => {
+    const updated = toggleSite(rules, 'https://blog.example.com/', true, true);
+    expect(findSiteRule(updated, 'https://blog.example.com/')).toEqual({ site: 'blog.example.com', enabled: true });
+  });
+
+  it('ignores pages without a site', () => {
+    expect(toggleSite(rules, 'chrome://extensions', false, true)).toBe(rules);
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, it, expect } from 'vitest';
+import { DIRECTIONS, GRADES, createCardState, schedule, isDue, getDueCards, countDue } from '../lib/srs.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = 1_700_000_000_000;
+
+describe('createCardState', () => {
+  it('starts due now with default ease', () => {
+    expect(createCardState(NOW)).toEqual({
+      ease: 2.5, interval: 0, reps: 0, lapses: 0, due: NOW, lastReviewed: null
+    });
+  });
+});
+
+describe('schedule', () => {
+  describe('new cards', () => {
+    it('Good schedules one day out', () => {
+      const state = schedule(null, GRADES.GOOD, NOW);
+      expect(state.interval).toBe(1);
+      expect(state.reps).toBe(1);
+      expect(state.due).toBe(NOW + DAY_MS);
+      expect(state.lastReviewed).toBe(NOW);
+    });
+
+    it('Easy schedules four days out and raises ease', () => {
+      const state = schedule(null, GRADES.EASY, NOW);
+      expect(state.interval).toBe(4);
+      expect(state.ease).toBeCloseTo(2.65);
+    });
+
+    it('Hard schedules one day out and lowers ease', () => {
+      const state = schedule(null, GRADES.HARD, NOW);
+      expect(state.interval).toBe(1);
+      expect(state.ease).toBeCloseTo(2.35);
+    });
+
+    it('Again relearns in ten minutes', () => {
+      const state = schedule(null, GRADES.AGAIN, NOW);
+      expect(state.interval).toBe(0);
+      expect(state.due).toBe(NOW + 10 * 60 * 1000);
+      expect(state.lapses).toBe(1);
+    });
+  });
+
+  describe('review cards', () => {
+    it('second Good review jumps to six days', () => {
+      const first = schedule(null, GRADES.GOOD, NOW);
+      const second = schedule(first, GRADES.GOOD, NOW + DAY_MS);
+      expect(second.interval).toBe(6);
+      expect(second.reps).toBe(2);
+    });
+
+    it('later Good reviews multiply the interval by ease', () => {
+      const state = { ease: 2.5, interval: 6, reps: 2, lapses: 0, due: NOW, lastReviewed: NOW - 6 * DAY_MS };
+      const next = schedule(state, GRADES.GOOD, NOW);
+      expect(next.interval).toBe(15);
+      expect(next.due).toBe(NOW + 15 * DAY_MS);
+    });
+
+    it('Easy grows faster than Good', () => {
+      const state = { ease: 2.5, interval: 6, reps: 2, lapses: 0, due: NOW, lastReviewed: NOW };
+      expect(schedule(state, GRADES.EASY, NOW).interval).toBeGreaterThan(schedule(state, GRADES.GOOD, NOW).interval);
+    });
+
+    it('Hard grows slower than Good but still grows', () => {
+      const state = { ease: 2.5, interval: 6, reps: 2, lapses: 0, due: NOW, lastReviewed: NOW };
+      const hard = schedule(state, GRADES.HARD, NOW).interval;
+      expect(hard).toBeGreaterThan(6);
+      expect(hard).toBeLessThan(schedule(state, GRADES.GOOD, NOW).interval);
+    });
+
+    it('Again resets repetitions and counts a lapse', () => {
+      const state = { ease: 2.5, interval: 15, reps: 3, lapses: 1, due: NOW, lastReviewed: NOW };
+      const next = schedule(state, GRADES.AGAIN, NOW);
+      expect(next.reps).toBe(0);
+      expect(next.lapses).toBe(2);
+      expect(next.ease).toBeCloseTo(2.3);
+    });
+
+    it('never lowers ease below 1.3', () => {
+      let state = null;
+      for (let i = 0; i < 10; i++) state = schedule(state, GRADES.AGAIN, NOW);
+      expect(state.ease).toBe(1.3);
+    });
+  });
+
+  it('does not mutate the input state', () => {
+    const state = createCardState(NOW);
+    schedule(state, GRADES.GOOD, NOW);
+    expect(state).toEqual(createCardState(NOW));
+  });
+});
+
+describe('isDue', () => {
+  it('treats new cards as due', () => {
+    expect(isDue(undefined, NOW)).toBe(true);
+  });
+
+  it('compares due time with now', () => {
+    expect(isDue({ due: NOW - 1 }, NOW)).toBe(true);
+    expect(isDue({ due: NOW }, NOW)).toBe(true);
+    expect(isDue({ due: NOW + 1 }, NOW)).toBe(false);
+  });
+});
+
+describe('getDueCards', () => {
+  const fresh = { id: 'a' };
+  const overdue = {
+    id: 'b',
+    review: {
+      'en-zh': { due: NOW - DAY_MS },
+      'zh-py': { due: NOW + DAY_MS },
+      'audio-en': { due: NOW - 2 * DAY_MS }
+    }
+  };
+
+  it('lists one card per due direction, most overdue first, new last', () => {
+    const cards = getDueCards([fresh, overdue], DIRECTIONS, NOW);
+    expect(cards.map(c => `${c.record.id}:${c.direction}`)).toEqual([
+      'b:audio-en', 'b:en-zh', 'a:en-zh', 'a:zh-py', 'a:audio-en'
+    ]);
+  });
+
+  it('only includes enabled directions', () => {
+    const cards = getDueCards([fresh, overdue], ['zh-py'], NOW);
+    expect(cards.map(c => c.record.id)).toEqual(['a']);
+  });
+
+  it('returns nothing for an empty word list', () => {
+    expect(getDueCards([], DIRECTIONS, NOW)).toEqual([]);
+  });
+});
+
+describe('countDue', () => {
+  it('counts due cards across words and directions', () => {
+    const records = [{ id: 'a' }, { id: 'b', review: { 'en-zh': { due: NOW + DAY_MS } } }];
+    expect(countDue(records, ['en-zh', 'zh-py'], NOW)).toBe(3);
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import {
+  THEMES, THEME_FIELDS, FONT_PROPERTY, FONT_FAMILIES, TEXT_PROPERTIES,
+  resolveTheme, sanitizeOverrides, themeProperties, contrastRatio, minimumContrast
+} from '../lib/themes.js';
+
+const styles = readFileSync(new URL('../styles.css', import.meta.url), 'utf8');
+
+// Custom properties declared by the styles.css rule for a preset
+function cssPreset(name) {
+  const rule = styles.match(new RegExp(`:host\\(\\[data-theme="${name}"\\]\\)\\s*\\{([^}]*)\\}`));
+  if (!rule) return null;
+  return Object.fromEntries(
+    [...rule[1].matchAll(/(--mandopop-[\w-]+):\s*([^;]+);/g)].map(([, property, value]) => [property, value.trim()])
+  );
+}
+
+describe('THEMES', () => {
+  it('matches the presets in styles.css', () => {
+    for (const [name, theme] of Object.entries(THEMES)) {
+      expect(cssPreset(name), name).toEqual(theme.properties);
+    }
+  });
+
+  it('defines every editable color in every preset', () => {
+    for (const theme of Object.values(THEMES)) {
+      for (const field of THEME_FIELDS) {
+        expect(theme.properties[field.property]).toMatch(/^#[0-9a-f]{6}$/);
+      }
+    }
+  });
+
+  it('keeps every text color of the high-contrast preset at WCAG AAA (7:1)', () => {
+    const { properties } = THEMES.contrast;
+    for (const property of TEXT_PROPERTIES) {
+      expect(contrastRatio(properties[property], properties['--mandopop-bg'])).toBeGreaterThanOrEqual(7);
+    }
+  });
+
+  it('keeps the light and sepia presets at WCAG AA (4.5:1)', () => {
+    expect(minimumContrast(THEMES.light.properties)).toBeGreaterThanOrEqual(4.5);
+    expect(minimumContrast(THEMES.sepia.properties)).toBeGreaterThanOrEqual(4.5);
+  });
+});
+
+describe('resolveTheme', () => {
+  it('returns presets as they are', () => {
+    expect(resolveTheme('sepia', true)).toBe('sepia');
+    expect(resolveTheme('contrast', false)).toBe('contrast');
+  });
+
+  it('follows the system color scheme for auto', () => {
+    expect(resolveTheme('auto', true)).toBe('neon');
+    expect(resolveTheme('auto', false)).toBe('light');
+  });
+
+  it('falls back to neon for unknown names', () => {
+    expect(resolveTheme(undefined, false)).toBe('neon');
+    expect(resolveTheme('constructor', false)).toBe('neon');
+  });
+});
+
+describe('sanitizeOverrides', () => {
+  it('keeps editor colors and the font family', () => {
+    const overrides = { '--mandopop-bg': '#123456', [FONT_PROPERTY]: FONT_FAMILIES[1].value };
+    expect(sanitizeOverrides(overrides)).toEqual(overrides);
+  });
+
+  it('drops unknown properties and non-string values', () => {
+    expect(sanitizeOverrides({ '--mandopop-glow': '90%', color: 'red', '--mandopop-text': 3 })).toEqual({});
+    expect(sanitizeOverrides(undefined)).toEqual({});
+  });
+});
+
+describe('themeProperties', () => {
+  it('applies overrides on top of the preset', () => {
+    const properties = themeProperties('light', { '--mandopop-chinese': '#aa0000' }, false);
+    expect(properties['--mandopop-chinese']).toBe('#aa0000');
+    expect(properties['--mandopop-bg']).toBe(THEMES.light.properties['--mandopop-bg']);
+  });
+
+  it('includes the default font family', () => {
+    expect(themeProperties('neon', {}, true)[FONT_PROPERTY]).toBe(FONT_FAMILIES[0].value);
+  });
+
+  it('resolves auto before applying overrides', () => {
+    expect(themeProperties('auto', {}, true)['--mandopop-bg']).toBe(THEMES.neon.properties['--mandopop-bg']);
+  });
+});
+
+describe('contrastRatio', () => {
+  it('is 21 for black on white and 1 for equal colors', () => {
+    expect(contrastRatio('#000000', '#ffffff')).toBeCloseTo(21);
+    expect(contrastRatio('#777777', '#777777')).toBe(1);
+  });
+
+  it('does not depend on argument order', () => {
+    expect(contrastRatio('#ffffff', '#336699')).toBe(contrastRatio('#336699', '#ffffff'));
+  });
+});
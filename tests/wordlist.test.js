@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import { wordId, stripLookupFields, createWordRecord } from '../lib/wordlist.js';
+
+describe('wordId', () => {
+  it('combines Traditional, Simplified and pinyin', () => {
+    expect(wordId({ t: '銀行', s: '银行', p: 'yín háng' })).toBe('銀行|银行|yín háng');
+  });
+
+  it('distinguishes readings of the same characters', () => {
+    const dry = { t: '乾', s: '干', p: 'gān' };
+    const doWork = { t: '幹', s: '干', p: 'gàn' };
+    expect(wordId(dry)).not.toBe(wordId(doWork));
+  });
+
+  it('handles entries without Traditional', () => {
+    expect(wordId({ s: '银行', p: 'yín háng' })).toBe('银行|银行|yín háng');
+  });
+});
+
+describe('stripLookupFields', () => {
+  it('drops the matched form and keeps the entry', () => {
+    const entry = { t: '葉子', s: '叶子', p: 'yè zi', d: ['leaf'] };
+    expect(stripLookupFields({ ...entry, match: 'leaf' })).toEqual(entry);
+  });
+
+  it('drops the sense the entry was found under', () => {
+    const entry = { t: '岸', s: '岸', p: 'àn', d: ['bank', 'shore'] };
+    expect(stripLookupFields({ ...entry, k: 0, sense: 'bank', match: 'bank' })).toEqual(entry);
+  });
+});
+
+describe('createWordRecord', () => {
+  const entry = { t: '銀行', s: '银行', p: 'yín háng', d: ['bank'] };
+  const context = {
+    query: 'bank',
+    url: 'https://example.com/news',
+    title: 'News',
+    sentence: 'I went to the bank.'
+  };
+
+  it('stores the entry and its context', () => {
+    const record = createWordRecord(entry, context, null, 1000);
+    expect(record).toEqual({
+      id: '銀行|银行|yín háng',
+      entry,
+      query: 'bank',
+      url: 'https://example.com/news',
+      title: 'News',
+      sentence: 'I went to the bank.',
+      createdAt: 1000,
+      updatedAt: 1000
+    });
+  });
+
+  it('keeps creation time and updates context when saved again', () => {
+    const first = createWordRecord(entry, context, null, 1000);
+    const second = createWordRecord(entry, { query: 'banks', url: 'https://example.com/b', title: 'B' }, first, 2000);
+
+    expect(second.id).toBe(first.id);
+    expect(second.createdAt).toBe(1000);
+    expect(second.updatedAt).toBe(2000);
+    expect(second.query).toBe('banks');
+    expect(second.url).toBe('https://example.com/b');
+  });
+
+  it('keeps earlier context for fields the new save lacks', () => {
+    const first = createWordRecord(entry, context, null, 1000);
+    const second = createWordRecord(entry, { query: 'banks' }, first, 2000);
+    expect(second.sentence).toBe('I went to the bank.');
+  });
+
+  it('preserves extra fields on the existing record', () => {
+    const first = { ...createWordRecord(entry, context, null, 1000), review: { due: 5000 } };
+    const second = createWordRecord(entry, context, first, 2000);
+    expect(second.review).toEqual({ due: 5000 });
+  });
+
+  it('fills in missing script forms', () => {
+    const record = createWordRecord({ s: '银行', p: 'yín háng', d: ['bank'] });
+    expect(record.entry.t).toBe('银行');
+  });
+});
+
+describe('createWordRecord with lookup results', () => {
+  it('does not store the matched form', () => {
+    const entry = { t: '葉子', s: '叶子', p: 'yè zi', d: ['leaf'], match: 'leaf' };
+    expect(createWordRecord(entry, {}, null, 1).entry).not.toHaveProperty('match');
+  });
+});